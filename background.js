@@ -4,38 +4,124 @@
 */
 
 // Use the WebExtensions Promise API (browser.*) for better readability
-/* global browser */
+/* global browser, PdfGenerator, CaptureHistory, loadSettings, ERROR_CODES, createProtocolError, listenForRequests, sendTabRequest, sendNotification, throwIfFailed */
 
-// Trigger capture when the browser action is clicked
-browser.browserAction.onClicked.addListener(async (tab) => {
-  try {
-    if (!tab || !tab.id) return;
-    await browser.tabs.sendMessage(tab.id, { type: 'start-capture' });
-  } catch (error) {
-    // Content script might not be injected yet on some pages. Try to inject programmatically.
+// Shared by every paragraph export; layout lives in pdf_generator.js
+const pdfGenerator = new PdfGenerator();
+
+// Saved captures, listed in the popup's History tab
+const captureHistory = new CaptureHistory();
+
+// Injected in this order when the content scripts are missing from a tab
+const CONTENT_SCRIPT_FILES = ['settings.js', 'messages.js', 'redaction.js', 'minimal_pdf.js', 'canvas_strips.js', 'capture_output.js', 'stitcher.js', 'content.js', 'paragraph_extractor.js'];
+
+// Keyboard shortcuts declared under "commands" in manifest.json, by capture mode
+const COMMAND_CAPTURE_MODES = {
+  'capture-full-page': 'full',
+  'capture-visible-area': 'visible',
+  'capture-selection': 'selection'
+};
+
+// How long a batch waits for each page to finish loading
+const BATCH_LOAD_TIMEOUT = 60_000;
+
+// Gap between screenshots, in ms. Firefox does not rate limit captureVisibleTab
+// the way Chrome does (two calls a second), so captures start close together.
+// Once the browser throttles a call the gap jumps to at least
+// CAPTURE_THROTTLED_INTERVAL and doubles on every further refusal, up to the
+// maximum; each successful call shrinks it back towards the minimum.
+const CAPTURE_MIN_INTERVAL = 50;
+const CAPTURE_THROTTLED_INTERVAL = 500;
+const CAPTURE_MAX_INTERVAL = 8000;
+
+// A screenshot that keeps failing is given up on after this many attempts; the
+// wait before each retry starts at CAPTURE_RETRY_DELAY ms and doubles
+const CAPTURE_MAX_ATTEMPTS = 4;
+const CAPTURE_RETRY_DELAY = 250;
+
+// The state below lives in memory only, which is why the background page is
+// persistent (see manifest.json): Firefox unloads an idle event page, and with
+// it a batch waiting for a page to load or an edit not yet fetched.
+
+// Captures waiting for their editor tab to load them, by id: { capture,
+// tabId }. An entry is removed as soon as the editor has fetched it, or when
+// its editor tab is closed before that, so the image does not stay behind.
+const pendingEdits = new Map();
+let nextEditId = 1;
+
+// The batch in progress (or the last one), so a reopened popup can show it.
+// { running, cancelled, windowId, closeTabs, capture, items: [{ url, tabId, status, error, warning, filename }] }
+let batch = null;
+
+// Latest progress of the capture running in each tab, by tab id, so a popup
+// opened halfway through can pick it up: { phase, done, total, percent }
+const captureProgress = new Map();
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  captureProgress.delete(tabId);
+  for (const [id, edit] of pendingEdits) {
+    if (edit.tabId === tabId) pendingEdits.delete(id);
+  }
+});
+
+// Screenshots from all tabs run one at a time, in the order they were asked
+// for. captureInterval is the current gap between them (see
+// CAPTURE_MIN_INTERVAL) and lastCaptureAt when the latest one was taken.
+let captureQueue = Promise.resolve();
+let captureInterval = CAPTURE_MIN_INTERVAL;
+let lastCaptureAt = 0;
+
+browser.commands.onCommand.addListener(async (command) => {
+  const mode = COMMAND_CAPTURE_MODES[command];
+  if (!mode) return;
+  const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+  await startCaptureInTab(tab, { mode });
+});
+
+// Firefox forgets the menus of a persistent background page when the browser
+// closes, so they are created every time this script loads. Clearing them
+// first avoids duplicate ids when the extension is reloaded.
+browser.contextMenus.removeAll().then(() => {
+  browser.contextMenus.create({
+    id: 'capture-element',
+    title: 'Capture this element',
+    contexts: ['page', 'image', 'link', 'video']
+  });
+  browser.contextMenus.create({
+    id: 'extract-selection',
+    title: 'Extract selected text to PDF',
+    contexts: ['selection']
+  });
+});
+
+browser.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (info.menuItemId === 'capture-element') {
+    // The content script remembers which element was right-clicked
+    await startCaptureInTab(tab, { mode: 'element' });
+  } else if (info.menuItemId === 'extract-selection') {
     try {
-      console.log('error happened while sending message start-capture', error);
-      if (tab && tab.id) {
-        await browser.tabs.executeScript(tab.id, { file: 'content.js' });
-        await browser.tabs.sendMessage(tab.id, { type: 'start-capture' });
+      const response = await sendToTabScripts(tab.id, 'extract-selected-paragraphs');
+      if (!response.ok || response.paragraphs.length === 0) {
+        console.warn('No selected text to extract:', response.error);
+        return;
       }
+      await saveParagraphsAsPdf(response.paragraphs, tab.url);
     } catch (e) {
-      console.error('Failed to start capture:', e);
+      console.error('Failed to extract the selection:', e);
     }
   }
 });
 
-// Handle messages from the content script
-browser.runtime.onMessage.addListener(async (message, sender) => {
-  console.log('message received in background script', message && message.type);
-  if (!message || !message.type) return;
-
-  if (message.type === 'capture-viewport') {
+// Requests from the content scripts, the popup and the editor page; see
+// messages.js for what each one resolves to
+listenForRequests({
+  // Screenshots from every tab wait their turn in the capture queue, which
+  // paces and retries them; see scheduleCapture
+  async 'capture-viewport'(message, sender) {
     const tab = sender && sender.tab ? sender.tab : undefined;
-    const windowId = tab ? tab.windowId : undefined;
     const tabInfo = {
       tabId: tab && tab.id,
-      windowId,
+      windowId: tab && tab.windowId,
       url: tab && tab.url,
       active: tab && tab.active,
       discarded: tab && tab.discarded,
@@ -46,205 +132,517 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
 
     console.log('capture-viewport request received', tabInfo);
 
+    if (!browser.tabs || !browser.tabs.captureVisibleTab) {
+      console.error('captureVisibleTab API not available', tabInfo);
+      throw createProtocolError(ERROR_CODES.FAILED, 'Screenshots are not available in this browser');
+    }
+
+    if (!tab) {
+      console.warn('capture-viewport: request did not come from a tab');
+      throw createProtocolError(ERROR_CODES.FAILED, 'Only pages can ask for screenshots');
+    }
+
+    // Check if tab is still loading
+    if (tab.status === 'loading') {
+      console.warn('capture-viewport: tab is still loading, this may cause empty captures', tabInfo);
+    }
+
+    // Check permissions before attempting capture
+    let hasPermission = true;
     try {
-      if (!browser.tabs || !browser.tabs.captureVisibleTab) {
-        console.error('captureVisibleTab API not available', tabInfo);
-        return null;
-      }
+      hasPermission = await browser.permissions.contains({
+        permissions: ['activeTab', 'tabs']
+      });
+      console.log('Extension permissions check:', { hasPermission });
+    } catch (permError) {
+      console.warn('Could not check permissions:', permError);
+    }
+    if (!hasPermission) {
+      console.error('Missing required permissions for capture');
+      throw createProtocolError(ERROR_CODES.FAILED, 'The extension is missing the permission to take screenshots');
+    }
 
-      if (!windowId) {
-        console.warn('capture-viewport: missing windowId from sender', tabInfo);
-      }
+    const settings = await loadSettings(getHostname(tab.url));
+    const dataUrl = await scheduleCapture(tab.id, settings.captureDelay);
 
-      // Some URLs cannot be captured (about:, addons.mozilla.org, extension pages)
-      if (tab && isCaptureProhibitedUrl(tab.url)) {
-        console.warn('capture-viewport: capture is prohibited on this URL', tab.url);
-        return null;
-      }
+    console.log('Capture successful, dataUrl length:', dataUrl.length);
+    return { dataUrl };
+  },
 
-      // Check if tab is still loading
-      if (tab && tab.status === 'loading') {
-        console.warn('capture-viewport: tab is still loading, this may cause empty captures', tabInfo);
-      }
+  // The popup's capture buttons and paragraph extraction. They go through here
+  // rather than straight to the tab so the content scripts get injected into
+  // tabs opened before the extension was, as for the shortcuts and the menus.
+  async 'capture-tab'(message) {
+    return throwIfFailed(await sendToTabScripts(message.tabId, 'start-capture', message.capture));
+  },
+
+  async 'extract-tab-paragraphs'(message) {
+    return throwIfFailed(await sendToTabScripts(message.tabId, 'extract-paragraphs'));
+  },
+
+  // Saves any capture output; the sender states the MIME type of the bytes.
+  // Screenshots also carry history metadata ({ title, width, height, thumbnail }).
+  // The editor page passes pageUrl, the page the capture was taken from.
+  async 'save-file'(message, sender) {
+    const { filename, mimeType, buffer, history, saveAs } = message;
+    const bytes = new Uint8Array(buffer);
+    const type = mimeType || 'application/octet-stream';
+    const tabUrl = message.pageUrl || (sender && sender.tab && sender.tab.url);
+    console.log('Saving file:', { filename, mimeType: type, size: bytes.length });
+    
+    const settings = await loadSettings(getHostname(tabUrl));
+    const blob = new Blob([bytes], { type });
+    const downloadId = await downloadBlob(blob, filename || 'webpage.pdf', typeof saveAs === 'boolean' ? saveAs : settings.saveAs);
 
-      // Try to get the active tab to ensure we're capturing the right one
-      let activeTab;
+    if (history) {
       try {
-        const tabs = await browser.tabs.query({ active: true, currentWindow: true });
-        activeTab = tabs[0];
-        console.log('Active tab info:', {
-          id: activeTab && activeTab.id,
-          url: activeTab && activeTab.url,
-          status: activeTab && activeTab.status,
-          discarded: activeTab && activeTab.discarded
-        });
+        await captureHistory.add({
+          ...history,
+          url: tabUrl,
+          filename,
+          mimeType: type
+        }, blob, settings.historyQuotaMB * 1024 * 1024);
       } catch (e) {
-        console.warn('Could not query active tab:', e);
+        // The download already started; a history failure must not turn it into an error
+        console.error('Failed to record capture in history:', e);
       }
+    }
+    return { downloadId };
+  },
 
-      // Check permissions before attempting capture
-      try {
-        const hasPermission = await browser.permissions.contains({
-          permissions: ['activeTab', 'tabs']
-        });
-        console.log('Extension permissions check:', { hasPermission });
-        if (!hasPermission) {
-          console.error('Missing required permissions for capture');
-          return null;
-        }
-      } catch (permError) {
-        console.warn('Could not check permissions:', permError);
-      }
+  // Firefox only takes images for the clipboard from extension pages, so the
+  // content script hands over the PNG bytes
+  async 'copy-image'(message) {
+    try {
+      await browser.clipboard.setImageData(message.buffer, 'png');
+    } catch (error) {
+      console.error('Failed to copy image to clipboard:', error);
+      throw createProtocolError(ERROR_CODES.FAILED, 'Could not copy the capture to the clipboard');
+    }
+    return {};
+  },
 
-      console.log('Attempting captureVisibleTab with windowId:', windowId);
-      
-      // Firefox sometimes needs a small delay before capture
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const dataUrl = await browser.tabs.captureVisibleTab(windowId, { format: 'png' });
-
-      console.log('captureVisibleTab result:', {
-        type: typeof dataUrl,
-        length: dataUrl ? dataUrl.length : 0,
-        preview: typeof dataUrl === 'string' ? dataUrl.slice(0, 64) : dataUrl,
-        startsWithDataImage: typeof dataUrl === 'string' ? dataUrl.startsWith('data:image/') : false
+  // Opens a stitched capture (PNG bytes) in the annotation editor next to its page
+  async 'open-editor'(message, sender) {
+    const id = nextEditId++;
+    const tab = sender && sender.tab;
+    const edit = {
+      capture: {
+        ...message.capture,
+        buffer: message.buffer,
+        url: tab && tab.url
+      },
+      tabId: null
+    };
+    pendingEdits.set(id, edit);
+    try {
+      const editorTab = await browser.tabs.create({
+        url: browser.runtime.getURL(`editor.html?id=${id}`),
+        index: tab ? tab.index + 1 : undefined
       });
+      edit.tabId = editorTab.id;
+    } catch (e) {
+      pendingEdits.delete(id);
+      throw e;
+    }
+    return {};
+  },
 
-      if (!dataUrl || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
-        console.error('captureVisibleTab returned empty/invalid dataUrl', {
-          ...tabInfo,
-          dataUrlType: typeof dataUrl,
-          dataUrlLength: dataUrl ? dataUrl.length : 0,
-          dataUrlPreview: typeof dataUrl === 'string' ? dataUrl.slice(0, 64) : dataUrl
-        });
-        return null;
-      }
+  'editor-load'(message) {
+    const edit = pendingEdits.get(message.id);
+    if (!edit) {
+      throw createProtocolError(ERROR_CODES.NOT_FOUND, 'This capture is no longer available');
+    }
+    pendingEdits.delete(message.id);
+    return { capture: edit.capture };
+  },
 
-      console.log('Capture successful, dataUrl length:', dataUrl.length);
-      logImageToConsole(dataUrl);
-      return dataUrl;
-    } catch (error) {
-      console.error('Failed to capture viewport:', {
-        error: error.message || error,
-        stack: error.stack,
-        name: error.name,
-        ...tabInfo
-      });
-      return null;
+  async 'save-paragraphs-pdf'(message) {
+    const { paragraphs, url } = message;
+    return saveParagraphsAsPdf(paragraphs, url);
+  },
+
+  async 'history-list'() {
+    return { entries: await captureHistory.list() };
+  },
+
+  async 'history-download'(message) {
+    const entry = await captureHistory.get(message.id);
+    if (!entry || !entry.blob) {
+      throw createProtocolError(ERROR_CODES.NOT_FOUND, 'This capture is no longer stored');
+    }
+    const settings = await loadSettings(getHostname(entry.url));
+    const downloadId = await downloadBlob(entry.blob, entry.filename, settings.saveAs);
+    return { downloadId };
+  },
+
+  async 'history-delete'(message) {
+    await captureHistory.delete(message.id);
+    return {};
+  },
+
+  // Captures a list of URLs, or every tab of a window, one after the other.
+  // Returns straight away; progress is broadcast as 'batch-progress'.
+  async 'batch-start'(message) {
+    if (batch && batch.running) {
+      throw createProtocolError(ERROR_CODES.BUSY, 'A batch capture is already running');
+    }
+
+    let items;
+    if (message.allTabs) {
+      const tabs = await browser.tabs.query({ windowId: message.windowId });
+      items = tabs.map((tab) => createBatchItem(tab.url, tab.id));
+    } else {
+      items = (message.urls || []).map((url) => createBatchItem(url, null));
+    }
+    if (items.length === 0) {
+      throw createProtocolError(ERROR_CODES.FAILED, 'No pages to capture');
+    }
+
+    batch = {
+      running: true,
+      cancelled: false,
+      windowId: message.windowId,
+      closeTabs: message.closeTabs !== false,
+      capture: message.capture || {},
+      items
+    };
+    runBatch(batch).catch((e) => console.error('Batch capture failed:', e));
+    return { batch };
+  },
+
+  'batch-status'() {
+    return { batch };
+  },
+
+  // The page being captured finishes; the ones after it are skipped
+  'batch-cancel'() {
+    if (batch && batch.running) {
+      batch.cancelled = true;
+      notifyBatchProgress();
+    }
+    return {};
+  },
+
+  // Mirrors the capture's progress on the toolbar button of its tab
+  'capture-progress'(message, sender) {
+    if (sender && sender.tab) {
+      updateCaptureBadge(sender.tab.id, message);
+    }
+    return {};
+  },
+
+  'capture-status'(message) {
+    return { progress: captureProgress.get(message.tabId) || null };
+  }
+});
+
+// Sends start-capture with the given options to a tab, injecting the content
+// scripts first if needed. Used by the shortcuts and the context menu.
+async function startCaptureInTab(tab, options) {
+  try {
+    if (!tab || !tab.id) return;
+    const response = await sendToTabScripts(tab.id, 'start-capture', options);
+    if (!response.ok && response.code !== ERROR_CODES.CANCELLED) {
+      console.warn('Capture failed:', response.code, response.error);
     }
+  } catch (e) {
+    console.error('Failed to start capture:', e);
   }
+}
 
-  if (message.type === 'save-pdf') {
-    const { filename, pdfBuffer } = message;
-    const bytes = new Uint8Array(pdfBuffer);
-    
-    // Determine MIME type based on filename
-    const mimeType = filename && filename.endsWith('.png') ? 'image/png' : 'application/pdf';
-    console.log('Saving file:', { filename, mimeType, size: bytes.length });
-    
-    const blob = new Blob([bytes], { type: mimeType });
-    const url = URL.createObjectURL(blob);
+async function saveParagraphsAsPdf(paragraphs, url) {
+  console.log('Converting paragraphs to PDF:', { count: paragraphs.length, url });
+
+  const pdfContent = await pdfGenerator.generatePDF(paragraphs, url);
+  const filename = pdfGenerator.generateFilename(url);
+
+  const blob = new Blob([pdfContent], { type: 'application/pdf' });
+  const settings = await loadSettings(getHostname(url));
+  const downloadId = await downloadBlob(blob, filename, settings.saveAs);
+  return { downloadId, filename };
+}
+
+// Sends a request to the content scripts of a tab, injecting them first if
+// needed; pages Firefox keeps extensions out of are refused up front
+async function sendToTabScripts(tabId, type, payload) {
+  const tab = await browser.tabs.get(tabId);
+  if (isCaptureProhibitedUrl(tab.url)) {
+    throw createProtocolError(ERROR_CODES.PROHIBITED_URL);
+  }
+  await ensureContentScript(tab.id);
+  return sendTabRequest(tab.id, type, payload);
+}
+
+// Pings the tab and injects the content scripts only when nothing answers, as
+// injecting them twice would redeclare their globals
+async function ensureContentScript(tabId) {
+  // No listener in the tab yet comes back as no-receiver. Scripts from an
+  // older version are left alone; their answers ask the user to reload.
+  const reply = await sendTabRequest(tabId, 'ping');
+  if (reply.ok || reply.code === ERROR_CODES.VERSION_MISMATCH) return;
+  for (const file of CONTENT_SCRIPT_FILES) {
+    await browser.tabs.executeScript(tabId, { file });
+  }
+}
+
+function createBatchItem(url, tabId) {
+  const item = { url: String(url || '').trim(), tabId, status: 'pending', error: null, warning: null, filename: null };
+  if (tabId === null) {
     try {
-      const downloadId = await browser.downloads.download({
-        url,
-        filename: filename || 'webpage.pdf',
-        saveAs: true
-      });
-      // Revoke the object URL a bit later to ensure the download has started
-      setTimeout(() => URL.revokeObjectURL(url), 10_000);
-      console.log('Download started:', { downloadId, filename });
-      return { ok: true, downloadId };
-    } catch (e) {
-      console.error('Download failed:', e);
-      URL.revokeObjectURL(url);
-      throw e;
+      const parsed = new URL(item.url);
+      if (!['http:', 'https:', 'file:'].includes(parsed.protocol)) {
+        throw new Error('unsupported scheme');
+      }
+    } catch (_) {
+      item.status = 'failed';
+      item.error = 'Not a valid http(s) URL';
     }
+  } else if (isCaptureProhibitedUrl(item.url)) {
+    item.status = 'failed';
+    item.error = 'Capture is not allowed on this page';
   }
+  return item;
+}
+
+// Opens (or activates) each page in turn, waits for it to load and runs the
+// content script's full-page capture with a per-URL filename. The capture
+// needs the tab to be visible, so items are strictly sequential.
+async function runBatch(state) {
+  for (const [index, item] of state.items.entries()) {
+    if (item.status !== 'pending') continue;
+    if (state.cancelled) {
+      item.status = 'cancelled';
+      continue;
+    }
 
-  // Handle paragraph to PDF conversion
-  if (message.type === 'convertParagraphsToPdf') {
+    item.status = 'running';
+    notifyBatchProgress();
+
+    let openedTabId = null;
     try {
-      const { paragraphs, url } = message;
-      console.log('Converting paragraphs to PDF:', { count: paragraphs.length, url });
-      
-      const pdfContent = await generatePdfFromParagraphs(paragraphs, url);
-      const filename = generateFilename(url, 'paragraphs');
-      
-      // Determine file type based on content
-      const mimeType = filename.endsWith('.pdf') ? 'application/pdf' : 'text/plain';
-      const blob = new Blob([pdfContent], { type: mimeType });
-      const downloadUrl = URL.createObjectURL(blob);
-      
-      const downloadId = await browser.downloads.download({
-        url: downloadUrl,
-        filename: filename,
-        saveAs: true
+      let tab;
+      if (item.tabId !== null) {
+        tab = await browser.tabs.update(item.tabId, { active: true });
+      } else {
+        tab = await browser.tabs.create({ url: item.url, active: true, windowId: state.windowId });
+        openedTabId = tab.id;
+      }
+      await browser.windows.update(tab.windowId, { focused: true });
+
+      tab = await waitForTabComplete(tab.id, BATCH_LOAD_TIMEOUT);
+      if (isCaptureProhibitedUrl(tab.url)) {
+        throw new Error('Capture is not allowed on this page');
+      }
+
+      await ensureContentScript(tab.id);
+      const result = await sendTabRequest(tab.id, 'start-capture', {
+        ...state.capture,
+        mode: 'full',
+        filename: `${String(index + 1).padStart(3, '0')}_${slugifyUrl(tab.url || item.url)}`,
+        saveAs: false
       });
-      
-      setTimeout(() => URL.revokeObjectURL(downloadUrl), 10_000);
-      console.log('Paragraph PDF download started:', { downloadId, filename });
-      
-      return { success: true, downloadId, filename };
+      if (!result.ok) {
+        throw new Error(result.error);
+      }
+      item.status = 'done';
+      item.filename = result.filename;
+      item.warning = result.warning || null;
     } catch (error) {
-      console.error('Failed to convert paragraphs to PDF:', error);
-      return { success: false, error: error.message };
+      console.error('Batch item failed:', item.url, error);
+      item.status = 'failed';
+      item.error = error.message || String(error);
+    } finally {
+      if (openedTabId !== null && state.closeTabs) {
+        await browser.tabs.remove(openedTabId).catch(() => {});
+      }
     }
+    notifyBatchProgress();
   }
-});
 
-function logImageToConsole(dataUrl) {
-  console.log('Captured image data URL length:', dataUrl.length);
-  
-  // Create a clickable link to view the image
-  console.log('🖼️ CLICK TO VIEW CAPTURED IMAGE:', dataUrl);
-  console.log('📋 Copy this data URL to address bar to view:', dataUrl.substring(0, 200) + '...');
-  
-  // Also create a downloadable blob URL that's easier to work with
+  state.running = false;
+  notifyBatchProgress();
+}
+
+// Resolves with the tab once it reports status 'complete'
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const isLoaded = (tab) => tab.status === 'complete' && tab.url !== 'about:blank';
+    const cleanup = () => {
+      clearTimeout(timer);
+      browser.tabs.onUpdated.removeListener(onUpdated);
+      browser.tabs.onRemoved.removeListener(onRemoved);
+    };
+    const onUpdated = (id, changeInfo, tab) => {
+      if (id === tabId && isLoaded(tab)) {
+        cleanup();
+        resolve(tab);
+      }
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) {
+        cleanup();
+        reject(new Error('The tab was closed'));
+      }
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Timed out waiting for the page to load'));
+    }, timeout);
+
+    browser.tabs.onUpdated.addListener(onUpdated);
+    browser.tabs.onRemoved.addListener(onRemoved);
+    // The page may have finished loading before the listeners were added
+    browser.tabs.get(tabId).then((tab) => {
+      if (isLoaded(tab)) {
+        cleanup();
+        resolve(tab);
+      }
+    }, () => {});
+  });
+}
+
+// "https://www.example.com/docs/intro?x=1" -> "example_com_docs_intro"
+function slugifyUrl(url) {
   try {
-    // Convert data URL to blob
-    const [header, data] = dataUrl.split(',');
-    const mimeMatch = header.match(/data:([^;]+)/);
-    const mime = mimeMatch ? mimeMatch[1] : 'image/png';
-    
-    const byteCharacters = atob(data);
-    const byteNumbers = new Array(byteCharacters.length);
-    for (let i = 0; i < byteCharacters.length; i++) {
-      byteNumbers[i] = byteCharacters.charCodeAt(i);
-    }
-    const byteArray = new Uint8Array(byteNumbers);
-    const blob = new Blob([byteArray], { type: mime });
-    const blobUrl = URL.createObjectURL(blob);
-    
-    console.log('🔗 BLOB URL (easier to handle):', blobUrl);
-    console.log('💡 Right-click the blob URL above → "Open in new tab" to view the image');
-    
-    // Clean up the blob URL after 30 seconds to prevent memory leaks
-    setTimeout(() => {
-      URL.revokeObjectURL(blobUrl);
-      console.log('🗑️ Cleaned up blob URL for captured image');
-    }, 30000);
-    
+    const u = new URL(url);
+    const slug = `${u.hostname.replace(/^www\./, '')}${u.pathname}`
+      .replace(/[^a-zA-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return slug.slice(0, 80) || 'page';
+  } catch (_) {
+    return 'page';
+  }
+}
+
+// The popup may be closed (it closes whenever another tab is activated)
+function updateCaptureBadge(tabId, progress) {
+  if (progress.phase === 'finished') {
+    captureProgress.delete(tabId);
+    browser.browserAction.setBadgeText({ tabId, text: '' }).catch(() => {});
+    return;
+  }
+  const { phase, done, total, percent } = progress;
+  captureProgress.set(tabId, { phase, done, total, percent });
+  browser.browserAction.setBadgeBackgroundColor({ tabId, color: '#3498db' }).catch(() => {});
+  browser.browserAction.setBadgeText({ tabId, text: `${percent}%` }).catch(() => {});
+}
+
+function notifyBatchProgress() {
+  sendNotification('batch-progress', { batch });
+}
+
+async function downloadBlob(blob, filename, saveAs) {
+  const url = URL.createObjectURL(blob);
+  try {
+    const downloadId = await browser.downloads.download({ url, filename, saveAs });
+    // Revoke the object URL a bit later to ensure the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 10_000);
+    console.log('Download started:', { downloadId, filename });
+    return downloadId;
   } catch (e) {
-    console.warn('Could not create blob URL:', e);
+    console.error('Download failed:', e);
+    URL.revokeObjectURL(url);
+    throw e;
   }
-  
-  // Verify the data URL works by creating an image element
+}
+
+// Hostname used to look up per-site settings; empty for missing or odd URLs
+function getHostname(url) {
   try {
-    const testImg = new Image();
-    testImg.onload = () => {
-      console.log('✅ Image capture successful:', {
-        width: testImg.naturalWidth,
-        height: testImg.naturalHeight,
-        size: `${(dataUrl.length / 1024).toFixed(1)} KB`
+    return new URL(url).hostname;
+  } catch (_) {
+    return '';
+  }
+}
+
+// Takes a screenshot of the tab once the ones queued before it are done.
+// Resolves with a PNG data URL; rejects with a protocol error (see
+// messages.js) once the tab can no longer be captured or every attempt failed.
+function scheduleCapture(tabId, captureDelay) {
+  const capture = captureQueue.then(() => captureWithRetry(tabId, captureDelay));
+  captureQueue = capture.catch(() => {});
+  return capture;
+}
+
+// Throttled and other failed calls are tried again with a growing delay. The
+// tab is checked before every attempt: captureVisibleTab shows whatever tab is
+// active in the window, which is no longer the page once the user switched.
+async function captureWithRetry(tabId, captureDelay) {
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Firefox sometimes needs a small delay before capture
+  await wait(captureDelay);
+
+  for (let attempt = 1; ; attempt++) {
+    const tab = await getCapturableTab(tabId);
+    await wait(lastCaptureAt + captureInterval - Date.now());
+    lastCaptureAt = Date.now();
+
+    let error;
+    try {
+      console.log('Attempting captureVisibleTab:', { windowId: tab.windowId, attempt, interval: captureInterval });
+      const dataUrl = await browser.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+      if (typeof dataUrl === 'string' && dataUrl.startsWith('data:image/')) {
+        captureInterval = Math.max(CAPTURE_MIN_INTERVAL, Math.round(captureInterval * 0.75));
+        return dataUrl;
+      }
+      console.error('captureVisibleTab returned empty/invalid dataUrl', {
+        tabId,
+        dataUrlType: typeof dataUrl,
+        dataUrlLength: dataUrl ? dataUrl.length : 0,
+        dataUrlPreview: typeof dataUrl === 'string' ? dataUrl.slice(0, 64) : dataUrl
       });
-    };
-    testImg.onerror = (e) => {
-      console.error('❌ Image data URL is corrupted:', e);
-    };
-    testImg.src = dataUrl;
-  } catch (e) {
-    console.error('Failed to validate image data URL:', e);
+      error = createProtocolError(ERROR_CODES.FAILED, 'The screenshot came back empty');
+    } catch (captureError) {
+      console.error('Failed to capture viewport:', {
+        error: captureError.message || captureError,
+        name: captureError.name,
+        tabId,
+        attempt
+      });
+      if (isCaptureThrottledError(captureError)) {
+        captureInterval = Math.min(CAPTURE_MAX_INTERVAL, Math.max(CAPTURE_THROTTLED_INTERVAL, captureInterval * 2));
+        error = createProtocolError(ERROR_CODES.CAPTURE_THROTTLED);
+      } else {
+        error = createProtocolError(ERROR_CODES.FAILED, `The screenshot failed: ${captureError.message || captureError}`);
+      }
+    }
+
+    if (attempt >= CAPTURE_MAX_ATTEMPTS) {
+      console.warn(`Giving up on the screenshot after ${attempt} attempts:`, error.message);
+      throw error;
+    }
+    await wait(CAPTURE_RETRY_DELAY * 2 ** (attempt - 1));
+  }
+}
+
+// The tab as it is now, if a screenshot of it can be taken
+async function getCapturableTab(tabId) {
+  let tab;
+  try {
+    tab = await browser.tabs.get(tabId);
+  } catch (_) {
+    throw createProtocolError(ERROR_CODES.TAB_CLOSED);
   }
+  // Some URLs cannot be captured (about:, addons.mozilla.org, extension pages)
+  if (isCaptureProhibitedUrl(tab.url)) {
+    console.warn('capture-viewport: capture is prohibited on this URL', tab.url);
+    throw createProtocolError(ERROR_CODES.PROHIBITED_URL);
+  }
+  if (tab.discarded) {
+    throw createProtocolError(ERROR_CODES.TAB_DISCARDED);
+  }
+  if (!tab.active) {
+    throw createProtocolError(ERROR_CODES.TAB_INACTIVE);
+  }
+  return tab;
+}
+
+// Chrome-style rate limits name the quota in the error message; Firefox
+// words its own refusals differently across versions
+function isCaptureThrottledError(error) {
+  return /MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND|quota|rate limit|too (many|often)/i.test(String(error && error.message || error));
 }
 
 function isCaptureProhibitedUrl(url) {
@@ -269,117 +667,3 @@ function isCaptureProhibitedUrl(url) {
     return false;
   }
 }
-
-// Generate PDF from extracted paragraphs using basic PDF structure
-async function generatePdfFromParagraphs(paragraphs, sourceUrl) {
-  console.log('Generating PDF from paragraphs:', paragraphs.length);
-  
-  // Create a simple HTML document for PDF conversion
-  const htmlContent = createHtmlFromParagraphs(paragraphs, sourceUrl);
-  
-  // Convert HTML to PDF using the print API (available in Firefox)
-  try {
-    // Create a data URL with the HTML content
-    const htmlDataUrl = `data:text/html;charset=utf-8,${encodeURIComponent(htmlContent)}`;
-    
-    // For Firefox extensions, we'll create a simple PDF structure
-    // Note: This is a basic implementation. For production, consider using libraries like jsPDF
-    return await createBasicPdf(paragraphs, sourceUrl);
-  } catch (error) {
-    console.error('Failed to generate PDF:', error);
-    throw error;
-  }
-}
-
-function createHtmlFromParagraphs(paragraphs, sourceUrl) {
-  const title = getPageTitle(sourceUrl);
-  const date = new Date().toLocaleDateString();
-  
-  let html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="utf-8">
-        <title>${title}</title>
-        <style>
-            body { font-family: Arial, sans-serif; margin: 40px; line-height: 1.6; }
-            .header { border-bottom: 2px solid #333; padding-bottom: 20px; margin-bottom: 30px; }
-            .title { font-size: 24px; font-weight: bold; margin-bottom: 10px; }
-            .source { color: #666; font-size: 14px; }
-            .paragraph { margin-bottom: 20px; text-align: justify; }
-            .footer { margin-top: 40px; padding-top: 20px; border-top: 1px solid #ccc; font-size: 12px; color: #666; }
-        </style>
-    </head>
-    <body>
-        <div class="header">
-            <div class="title">${title}</div>
-            <div class="source">Source: ${sourceUrl}</div>
-            <div class="source">Extracted on: ${date}</div>
-        </div>
-  `;
-  
-  paragraphs.forEach((paragraph, index) => {
-    html += `<div class="paragraph">${paragraph.text}</div>\n`;
-  });
-  
-  html += `
-        <div class="footer">
-            Extracted ${paragraphs.length} paragraphs from ${sourceUrl}
-        </div>
-    </body>
-    </html>
-  `;
-  
-  return html;
-}
-
-// Create a basic PDF structure (simplified version)
-async function createBasicPdf(paragraphs, sourceUrl) {
-  // This is a simplified PDF creation. In a real implementation, 
-  // you would use a proper PDF library like jsPDF or PDFKit
-  
-  const title = getPageTitle(sourceUrl);
-  const date = new Date().toLocaleDateString();
-  
-  // Create text content for the PDF
-  let textContent = `${title}\n\n`;
-  textContent += `Source: ${sourceUrl}\n`;
-  textContent += `Extracted on: ${date}\n\n`;
-  textContent += '=' .repeat(50) + '\n\n';
-  
-  paragraphs.forEach((paragraph, index) => {
-    textContent += `${paragraph.text}\n\n`;
-  });
-  
-  textContent += '\n' + '-'.repeat(50) + '\n';
-  textContent += `Extracted ${paragraphs.length} paragraphs from ${sourceUrl}`;
-  
-  // Convert text to a simple PDF-like format (text file for now)
-  // In a real implementation, this would generate actual PDF bytes
-  const encoder = new TextEncoder();
-  return encoder.encode(textContent);
-}
-
-function getPageTitle(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname.replace('www.', '') + ' - Blog Content';
-  } catch (e) {
-    return 'Blog Content';
-  }
-}
-
-function generateFilename(url, type) {
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.replace('www.', '').replace(/\./g, '_');
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-    return `${hostname}_${type}_${timestamp}.txt`;
-  } catch (e) {
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
-    return `blog_${type}_${timestamp}.txt`;
-  }
-}
-
-
-
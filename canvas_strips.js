@@ -0,0 +1,205 @@
+/*
+  Tall captures are kept as a stack of canvases ("strips") rather than one
+  canvas. Browsers refuse canvases past a maximum size, and Firefox hands back
+  a blank one instead of failing, so every strip stays under the limits below.
+  Shared by the content script, the editor page and the stitching worker
+  (see stitcher.js); capture_output.js encodes strip images into PDFs and
+  images.
+*/
+
+/* global ERROR_CODES, createProtocolError */
+
+// Firefox caps canvases at 32767 pixels per side and also limits their area.
+// Strips stay well under both on any device pixel ratio, but they only split
+// the height, so wider images cannot be drawn at all.
+const MAX_CANVAS_SIDE = 32767;
+const MAX_STRIP_HEIGHT = 8192;
+const MAX_STRIP_PIXELS = 32 * 1024 * 1024;
+
+// Rows handed to the PNG compressor at a time, which bounds the memory used
+// for raw pixel data however tall the capture is
+const PNG_BAND_PIXELS = 4 * 1024 * 1024;
+
+// A canvas element on pages, an OffscreenCanvas in the stitching worker
+function createCanvas(width, height) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// A strip image is { width, height, strips: [{ canvas, top, height }] }, the
+// strips stacked top to bottom without gaps. New strips start out white.
+function createStripImage(width, height) {
+  if (width > MAX_CANVAS_SIDE) {
+    throw createProtocolError(ERROR_CODES.CANVAS_TOO_LARGE, `The capture is ${width} pixels wide; images can be at most ${MAX_CANVAS_SIDE} pixels wide`);
+  }
+  const stripHeight = Math.max(1, Math.min(MAX_STRIP_HEIGHT, Math.floor(MAX_STRIP_PIXELS / width)));
+  const strips = [];
+  for (let top = 0; top < height; top += stripHeight) {
+    const canvas = createCanvas(width, Math.min(stripHeight, height - top));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    strips.push({ canvas, top, height: canvas.height });
+  }
+  return { width, height, strips };
+}
+
+// Wraps a single canvas, so callers can pass either
+function toStripImage(source) {
+  if (source.strips) return source;
+  return { width: source.width, height: source.height, strips: [{ canvas: source, top: 0, height: source.height }] };
+}
+
+// The canvas holding the whole image, or null when it spans several strips
+function getSingleCanvas(image) {
+  const stripImage = toStripImage(image);
+  return stripImage.strips.length === 1 ? stripImage.strips[0].canvas : null;
+}
+
+// Draws the source rectangle (sx, sy, sw, sh) of an image or canvas at (dx, dy)
+// without scaling; the parts that fall into different strips go to each of them
+function drawIntoStrips(image, source, sx, sy, sw, sh, dx, dy) {
+  for (const strip of image.strips) {
+    const top = Math.max(dy, strip.top);
+    const bottom = Math.min(dy + sh, strip.top + strip.height);
+    if (bottom <= top) continue;
+    strip.canvas.getContext('2d').drawImage(
+      source,
+      sx, sy + (top - dy), sw, bottom - top,
+      dx, top - strip.top, sw, bottom - top
+    );
+  }
+}
+
+// Draws rows [top, top + height) of a strip image onto ctx with their top-left
+// corner at (dx, dy), scaled by scale (default 1)
+function drawStripRows(ctx, image, top, height, dx, dy, scale) {
+  const factor = scale || 1;
+  for (const strip of toStripImage(image).strips) {
+    const from = Math.max(top, strip.top);
+    const to = Math.min(top + height, strip.top + strip.height);
+    if (to <= from) continue;
+    ctx.drawImage(
+      strip.canvas,
+      0, from - strip.top, strip.canvas.width, to - from,
+      dx, dy + (from - top) * factor, strip.canvas.width * factor, (to - from) * factor
+    );
+  }
+}
+
+// RGBA pixels of rows [top, top + height), read across strip boundaries
+function readStripRows(image, top, height) {
+  const stripImage = toStripImage(image);
+  const rowBytes = stripImage.width * 4;
+  const pixels = new Uint8ClampedArray(rowBytes * height);
+  for (const strip of stripImage.strips) {
+    const from = Math.max(top, strip.top);
+    const to = Math.min(top + height, strip.top + strip.height);
+    if (to <= from) continue;
+    const data = strip.canvas.getContext('2d').getImageData(0, from - strip.top, stripImage.width, to - from).data;
+    pixels.set(data, (from - top) * rowBytes);
+  }
+  return pixels;
+}
+
+// Encodes a strip image of any height as an RGB PNG without ever holding it in
+// one canvas: rows are read band by band, filtered and fed to a deflate stream,
+// and the compressed output is written out as IDAT chunks.
+async function encodeStripImageAsPng(image) {
+  const { width, height } = toStripImage(image);
+  const compressor = new CompressionStream('deflate');
+  const writer = compressor.writable.getWriter();
+  const compressed = [];
+  const collecting = (async () => {
+    const reader = compressor.readable.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      compressed.push(value);
+    }
+  })();
+
+  const rowBytes = width * 3;
+  const bandRows = Math.max(1, Math.floor(PNG_BAND_PIXELS / width));
+  let previousRow = new Uint8Array(rowBytes);
+  for (let top = 0; top < height; top += bandRows) {
+    const rows = Math.min(bandRows, height - top);
+    const rgba = readStripRows(image, top, rows);
+    const filtered = new Uint8Array(rows * (rowBytes + 1));
+    for (let row = 0; row < rows; row++) {
+      // Filter type 2 ("Up") stores each byte as the difference to the byte
+      // above, which compresses the flat areas of screenshots well
+      const out = row * (rowBytes + 1);
+      const currentRow = new Uint8Array(rowBytes);
+      filtered[out] = 2;
+      for (let x = 0, src = row * width * 4; x < rowBytes; x += 3, src += 4) {
+        currentRow[x] = rgba[src];
+        currentRow[x + 1] = rgba[src + 1];
+        currentRow[x + 2] = rgba[src + 2];
+      }
+      for (let i = 0; i < rowBytes; i++) {
+        filtered[out + 1 + i] = (currentRow[i] - previousRow[i]) & 0xFF;
+      }
+      previousRow = currentRow;
+    }
+    await writer.write(filtered);
+  }
+  await writer.close();
+  await collecting;
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8; // bits per channel
+  header[9] = 2; // colour type: RGB
+
+  const parts = [new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])];
+  parts.push(...createPngChunk('IHDR', header));
+  for (const data of compressed) {
+    parts.push(...createPngChunk('IDAT', data));
+  }
+  parts.push(...createPngChunk('IEND', new Uint8Array(0)));
+
+  return new Uint8Array(await new Blob(parts, { type: 'image/png' }).arrayBuffer());
+}
+
+// A PNG chunk as [length and type, data, CRC] parts, so data is not copied
+function createPngChunk(type, data) {
+  const head = new Uint8Array(8);
+  const view = new DataView(head.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    head[4 + i] = type.charCodeAt(i);
+  }
+  let crc = updateCrc32(0xFFFFFFFF, head.subarray(4));
+  crc = updateCrc32(crc, data);
+  const tail = new Uint8Array(4);
+  new DataView(tail.buffer).setUint32(0, (crc ^ 0xFFFFFFFF) >>> 0);
+  return [head, data, tail];
+}
+
+let crc32Table = null;
+
+function updateCrc32(crc, bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let c = crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = crc32Table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return c >>> 0;
+}
@@ -0,0 +1,121 @@
+/*
+  Capture history kept by the background script in IndexedDB. Metadata and the
+  thumbnail live in one store and the saved output in another, keyed by the same
+  id, so listing the history never has to load the (large) output blobs.
+*/
+
+const HISTORY_DB_NAME = 'capture-history';
+const HISTORY_DB_VERSION = 1;
+const CAPTURES_STORE = 'captures';
+const OUTPUTS_STORE = 'outputs';
+
+class CaptureHistory {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const captures = db.createObjectStore(CAPTURES_STORE, { keyPath: 'id', autoIncrement: true });
+          captures.createIndex('timestamp', 'timestamp');
+          db.createObjectStore(OUTPUTS_STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Allow a later call to retry if opening failed
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  // Stores a capture. entry holds { url, title, filename, mimeType, width, height,
+  // thumbnail } and blob is the saved output. Outputs larger than the whole quota
+  // are not kept (the entry stays, without re-download); otherwise the oldest
+  // entries are evicted until everything fits in quotaBytes.
+  async add(entry, blob, quotaBytes) {
+    const keepOutput = blob.size <= quotaBytes;
+    const record = {
+      ...entry,
+      timestamp: Date.now(),
+      size: blob.size,
+      hasOutput: keepOutput
+    };
+
+    const db = await this.open();
+    const id = await new Promise((resolve, reject) => {
+      const tx = db.transaction([CAPTURES_STORE, OUTPUTS_STORE], 'readwrite');
+      let newId;
+      const request = tx.objectStore(CAPTURES_STORE).add(record);
+      request.onsuccess = () => {
+        newId = request.result;
+        if (keepOutput) {
+          tx.objectStore(OUTPUTS_STORE).put({ id: newId, blob });
+        }
+      };
+      tx.oncomplete = () => resolve(newId);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+    console.log('Capture added to history:', { id, size: blob.size, keepOutput });
+    await this.enforceQuota(quotaBytes);
+    return id;
+  }
+
+  // Newest first, without output blobs
+  async list() {
+    const db = await this.open();
+    const entries = await promisifyRequest(
+      db.transaction(CAPTURES_STORE).objectStore(CAPTURES_STORE).getAll()
+    );
+    return entries.sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  async get(id) {
+    const db = await this.open();
+    const tx = db.transaction([CAPTURES_STORE, OUTPUTS_STORE]);
+    const [entry, output] = await Promise.all([
+      promisifyRequest(tx.objectStore(CAPTURES_STORE).get(id)),
+      promisifyRequest(tx.objectStore(OUTPUTS_STORE).get(id))
+    ]);
+    if (!entry) return null;
+    return { ...entry, blob: output ? output.blob : null };
+  }
+
+  async delete(id) {
+    const db = await this.open();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([CAPTURES_STORE, OUTPUTS_STORE], 'readwrite');
+      tx.objectStore(CAPTURES_STORE).delete(id);
+      tx.objectStore(OUTPUTS_STORE).delete(id);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Deletes the oldest entries until the stored outputs fit in quotaBytes
+  async enforceQuota(quotaBytes) {
+    const entries = (await this.list()).reverse();
+    let total = entries.reduce((sum, e) => sum + (e.hasOutput ? e.size : 0), 0);
+
+    for (const entry of entries) {
+      if (total <= quotaBytes) break;
+      if (!entry.hasOutput) continue;
+      await this.delete(entry.id);
+      total -= entry.size;
+      console.log('Evicted capture from history to stay within quota:', { id: entry.id, size: entry.size });
+    }
+  }
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,366 @@
+/*
+  Turns a stitched capture into the bytes that get saved: a PDF (one tall
+  page, or cut into paper-sized pages) or a PNG/JPEG/WebP image. Shared by the
+  content script, the editor page and the stitching worker; all of them load
+  minimal_pdf.js and canvas_strips.js first.
+*/
+
+/* global MinimalPdf, DEFAULT_SETTINGS, createCanvas, toStripImage, getSingleCanvas, drawStripRows, readStripRows, encodeStripImageAsPng */
+
+// Paper sizes in PDF points (1/72 inch), portrait orientation
+const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  letter: { width: 612, height: 792 },
+  legal: { width: 612, height: 1008 }
+};
+
+// Image outputs; 'pdf' is handled separately by renderPdfFromImage
+const IMAGE_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+// 'single' keeps the whole capture on one tall page; 'paginated' cuts it into paper-sized pages
+const DEFAULT_PDF_LAYOUT = {
+  mode: 'single',
+  pageSize: 'a4',
+  orientation: 'portrait',
+  margin: 36
+};
+
+// Encodes a capture for saving. format is 'pdf', 'png', 'jpeg' or 'webp';
+// options holds quality (JPEG/WebP), pdfLayout, jpegQualities, textRuns,
+// links, headings and metadata (PDF). textRuns ([{ text, x, y, width, height }]
+// in image pixels) become an invisible, selectable text layer over the image,
+// links ([{ url, x, y, width, height }]) clickable areas and headings
+// ([{ title, level, x, y, width, height }]) the PDF outline. metadata holds the
+// document properties (see MinimalPdf.setInfo), producer included. image is
+// a canvas or a strip image (see canvas_strips.js).
+// Resolves with { buffer, mimeType, extension, warning }; warning says why
+// the output is not in the format asked for.
+async function encodeCaptureOutput(image, pixelWidth, pixelHeight, format, options) {
+  const opts = options || {};
+  if (format === 'pdf') {
+    const layout = resolvePdfLayout(opts.pdfLayout);
+    console.log('PDF layout:', layout);
+
+    const overlays = { textRuns: opts.textRuns, links: opts.links, headings: opts.headings };
+    const pdfBytes = await renderPdfFromImage(image, pixelWidth, pixelHeight, layout, opts.jpegQualities, overlays, opts.metadata);
+    console.log('PDF generated:', pdfBytes.byteLength, 'bytes');
+    return { buffer: pdfBytes, mimeType: 'application/pdf', extension: 'pdf' };
+  }
+
+  // Past the canvas size limit only PNG can be written strip by strip
+  const canvas = getSingleCanvas(image);
+  if (!canvas) {
+    let warning;
+    if (format !== 'png') {
+      warning = `The capture is too large for ${format.toUpperCase()} and was saved as PNG`;
+      console.warn(warning);
+    }
+    const bytes = await encodeStripImageAsPng(image);
+    return { buffer: bytes.buffer, mimeType: IMAGE_FORMATS.png.mimeType, extension: IMAGE_FORMATS.png.extension, warning };
+  }
+
+  const encoded = await encodeImage(canvas, format, opts.quality);
+  console.log('Image encoded:', { format, mimeType: encoded.mimeType, size: encoded.bytes.byteLength });
+  return { buffer: encoded.bytes.buffer, mimeType: encoded.mimeType, extension: encoded.extension };
+}
+
+// qualities is the JPEG quality ladder: each entry is tried in turn until
+// one produces a PDF, and when none does the failure is thrown. overlays
+// ({ textRuns, links, headings } in image pixels) are placed over the image on
+// whichever page shows them.
+async function renderPdfFromImage(image, pixelWidth, pixelHeight, layout, qualities, overlays, metadata) {
+  console.log('Starting PDF generation:', { pixelWidth, pixelHeight, mode: layout.mode, qualities });
+
+  const create = layout.mode === 'paginated'
+    ? (quality) => createPaginatedPdfFromCanvas(image, pixelWidth, pixelHeight, quality, layout, overlays, metadata)
+    : (quality) => createPdfFromCanvas(image, pixelWidth, pixelHeight, quality, overlays, metadata);
+  
+  let lastError = null;
+  for (const quality of qualities || DEFAULT_SETTINGS.jpegQualities) {
+    try {
+      return await create(quality);
+    } catch (e) {
+      console.error(`PDF generation at quality ${quality} failed:`, e);
+      lastError = e;
+    }
+  }
+  throw new Error(`Could not create the PDF: ${lastError ? lastError.message : 'no JPEG quality to try'}`);
+}
+
+// One page showing the whole capture. Each strip becomes its own JPEG, placed
+// edge to edge, so the image keeps its full resolution at any height.
+async function createPdfFromCanvas(image, pixelWidth, pixelHeight, quality, overlays, metadata) {
+  // Scale down huge images to reasonable PDF dimensions
+  const maxPdfDimension = 14400; // 200 inches at 72 DPI
+  let pdfWidth = pixelWidth;
+  let pdfHeight = pixelHeight;
+  
+  if (pixelWidth > maxPdfDimension || pixelHeight > maxPdfDimension) {
+    const scale = Math.min(maxPdfDimension / pixelWidth, maxPdfDimension / pixelHeight);
+    pdfWidth = Math.round(pixelWidth * scale);
+    pdfHeight = Math.round(pixelHeight * scale);
+    console.log('Scaling PDF dimensions:', {
+      original: { pixelWidth, pixelHeight },
+      scaled: { pdfWidth, pdfHeight },
+      scale
+    });
+  }
+  
+  console.log('Creating PDF...');
+  const pdf = new MinimalPdf();
+  pdf.setInfo(metadata || {});
+  const pointsPerPixel = pdfWidth / pixelWidth;
+  const images = [];
+  for (const strip of toStripImage(image).strips) {
+    const jpegData = await canvasToJpegUint8Array(strip.canvas, quality);
+    console.log('Strip converted to JPEG:', {
+      top: strip.top,
+      height: strip.height,
+      quality,
+      jpegSizeKB: (jpegData.byteLength / 1024).toFixed(1)
+    });
+    images.push({
+      id: pdf.addJpegImage(jpegData, pixelWidth, strip.height),
+      x: 0,
+      y: pdfHeight - (strip.top + strip.height) * pointsPerPixel,
+      width: pdfWidth,
+      height: strip.height * pointsPerPixel
+    });
+  }
+
+  const area = { top: 0, height: pixelHeight, scale: pointsPerPixel, left: 0, pageTop: pdfHeight };
+  pdf.addPageWithImages(pdfWidth, pdfHeight, images, mapOverlaysToPage(overlays, area));
+  console.log('Page added to PDF with dimensions:', { pdfWidth, pdfHeight });
+  
+  const pdfBuffer = pdf.serialize();
+  console.log('PDF serialized:', {
+    bufferSize: pdfBuffer.byteLength,
+    bufferSizeKB: (pdfBuffer.byteLength / 1024).toFixed(1)
+  });
+  
+  return pdfBuffer;
+}
+
+// Cuts the stitched capture into paper-sized pages, one image per page, scaled so
+// the capture width fills the printable area between the margins.
+async function createPaginatedPdfFromCanvas(image, pixelWidth, pixelHeight, quality, layout, overlays, metadata) {
+  const page = getPageDimensions(layout);
+  const contentWidth = page.width - layout.margin * 2;
+  const contentHeight = page.height - layout.margin * 2;
+  const scale = contentWidth / pixelWidth;
+  const pagePixelHeight = Math.max(1, Math.floor(contentHeight / scale));
+
+  const breaks = computePageBreaks(image, pixelWidth, pixelHeight, pagePixelHeight);
+  console.log('Paginating capture:', {
+    page,
+    margin: layout.margin,
+    scale,
+    pagePixelHeight,
+    pageCount: breaks.length
+  });
+
+  const pdf = new MinimalPdf();
+  pdf.setInfo(metadata || {});
+  const sliceCanvas = createCanvas(pixelWidth, 1);
+
+  for (let i = 0; i < breaks.length; i++) {
+    const { top, height } = breaks[i];
+
+    // Resizing the canvas clears it, so every page starts from a blank slate
+    sliceCanvas.height = height;
+    const ctx = sliceCanvas.getContext('2d');
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, pixelWidth, height);
+    drawStripRows(ctx, image, top, height, 0, 0);
+
+    const jpegData = await canvasToJpegUint8Array(sliceCanvas, quality);
+    const imageObjectId = pdf.addJpegImage(jpegData, pixelWidth, height);
+
+    // PDF y runs bottom-up: anchor each slice to the top margin
+    const drawHeight = height * scale;
+    const pageTop = page.height - layout.margin;
+    const area = { top, height, scale, left: layout.margin, pageTop };
+    pdf.addPageWithImage(imageObjectId, page.width, page.height, {
+      x: layout.margin,
+      y: pageTop - drawHeight,
+      width: contentWidth,
+      height: drawHeight
+    }, mapOverlaysToPage(overlays, area));
+    console.log(`Page ${i + 1}/${breaks.length} added:`, { top, height, jpegSize: jpegData.byteLength });
+  }
+
+  return pdf.serialize();
+}
+
+// Converts boxes ({ x, y, width, height } plus any other fields) from image
+// pixels, top-left origin, to PDF points on a page that shows image rows
+// [top, top + height) with their top-left corner at (left, pageTop). Boxes
+// whose middle falls outside those rows belong to another page.
+function mapToPage(boxes, { top, height, scale, left, pageTop }) {
+  return (boxes || [])
+    .filter((box) => {
+      const middle = box.y + box.height / 2;
+      return middle >= top && middle < top + height;
+    })
+    .map((box) => ({
+      ...box,
+      x: left + box.x * scale,
+      y: pageTop - (box.y - top + box.height) * scale,
+      width: box.width * scale,
+      height: box.height * scale
+    }));
+}
+
+function mapOverlaysToPage(overlays, area) {
+  const { textRuns, links, headings } = overlays || {};
+  return {
+    textRuns: mapToPage(textRuns, area),
+    links: mapToPage(links, area),
+    headings: mapToPage(headings, area)
+  };
+}
+
+// Splits [0, pixelHeight) into page-sized ranges. Each cut is moved up to the
+// nearest blank row within the lower part of the page so lines of text are not
+// sliced in half; if no blank row exists the page is cut at its full height.
+function computePageBreaks(image, pixelWidth, pixelHeight, pagePixelHeight) {
+  const searchWindow = Math.floor(pagePixelHeight * 0.2);
+  const breaks = [];
+  let top = 0;
+
+  while (top < pixelHeight) {
+    let bottom = Math.min(top + pagePixelHeight, pixelHeight);
+    if (bottom < pixelHeight && searchWindow > 0) {
+      const quietRow = findQuietRow(image, pixelWidth, bottom - searchWindow, bottom);
+      if (quietRow > top) {
+        bottom = quietRow;
+      }
+    }
+    breaks.push({ top, height: bottom - top });
+    top = bottom;
+  }
+
+  return breaks;
+}
+
+// Returns the lowest row in [fromY, toY) whose pixels are all the same colour,
+// or -1 when every row in the band has some ink on it.
+function findQuietRow(image, width, fromY, toY) {
+  const tolerance = 8;
+  let band;
+  try {
+    band = readStripRows(image, fromY, toY - fromY);
+  } catch (e) {
+    console.warn('Could not read pixels for page break detection:', e);
+    return -1;
+  }
+
+  const rowStride = width * 4;
+  for (let row = toY - fromY - 1; row >= 0; row--) {
+    const start = row * rowStride;
+    const r = band[start];
+    const g = band[start + 1];
+    const b = band[start + 2];
+    let quiet = true;
+    for (let i = start + 4; i < start + rowStride; i += 4) {
+      if (Math.abs(band[i] - r) > tolerance ||
+          Math.abs(band[i + 1] - g) > tolerance ||
+          Math.abs(band[i + 2] - b) > tolerance) {
+        quiet = false;
+        break;
+      }
+    }
+    if (quiet) return fromY + row;
+  }
+  return -1;
+}
+
+function resolvePdfLayout(requested) {
+  const layout = { ...DEFAULT_PDF_LAYOUT, ...(requested || {}) };
+  if (!PAGE_SIZES[layout.pageSize]) {
+    console.warn('Unknown page size, falling back to A4:', layout.pageSize);
+    layout.pageSize = DEFAULT_PDF_LAYOUT.pageSize;
+  }
+  if (layout.orientation !== 'landscape') {
+    layout.orientation = 'portrait';
+  }
+
+  // Keep at least half of the shorter page side printable
+  const size = PAGE_SIZES[layout.pageSize];
+  const maxMargin = Math.min(size.width, size.height) / 4;
+  const margin = Number(layout.margin);
+  layout.margin = Number.isFinite(margin) ? Math.min(Math.max(margin, 0), maxMargin) : DEFAULT_PDF_LAYOUT.margin;
+  return layout;
+}
+
+function getPageDimensions(layout) {
+  const size = PAGE_SIZES[layout.pageSize];
+  return layout.orientation === 'landscape'
+    ? { width: size.height, height: size.width }
+    : { width: size.width, height: size.height };
+}
+
+// Encodes the canvas as PNG, JPEG or WebP. quality (0..1) applies to JPEG and
+// WebP only. Browsers without a WebP encoder hand back a PNG, in which case
+// the file is saved as the PNG it really is.
+async function encodeImage(canvas, format, quality) {
+  const requested = IMAGE_FORMATS[format] || IMAGE_FORMATS.png;
+  const blob = await canvasToBlob(canvas, requested.mimeType, quality);
+
+  let actual = requested;
+  if (blob.type !== requested.mimeType) {
+    console.warn(`${requested.mimeType} encoding is not supported here, saving as ${blob.type}`);
+    actual = Object.values(IMAGE_FORMATS).find((f) => f.mimeType === blob.type) || IMAGE_FORMATS.png;
+  }
+
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  return { bytes, mimeType: actual.mimeType, extension: actual.extension };
+}
+
+// Small JPEG of the top of the capture (a canvas or strip image) for the
+// history list, as a data URL; very tall captures are cropped so the
+// thumbnail stays at most twice as tall as wide
+async function createThumbnail(image) {
+  const source = toStripImage(image);
+  const thumbWidth = 160;
+  const scale = Math.min(1, thumbWidth / source.width);
+  const width = Math.max(1, Math.round(source.width * scale));
+  const sourceHeight = Math.min(source.height, Math.round((width * 2) / scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const thumb = createCanvas(width, height);
+  const ctx = thumb.getContext('2d');
+  drawStripRows(ctx, source, 0, sourceHeight, 0, 0, height / sourceHeight);
+  const blob = await canvasToBlob(thumb, 'image/jpeg', 0.7);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+  // OffscreenCanvas has a promise-based equivalent of toBlob
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type: mimeType, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Canvas could not be encoded as ${mimeType}`));
+      }
+    }, mimeType, quality);
+  });
+}
+
+async function canvasToJpegUint8Array(canvas, quality) {
+  const blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+  return new Uint8Array(await blob.arrayBuffer());
+}
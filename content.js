@@ -1,485 +1,1233 @@
 /*
-  Content script: Scrolls the page, requests viewport captures from background,
-  stitches them into one tall image, converts to a single-page PDF, and asks
-  background to download it.
+  Content script: Scrolls the page (or a picked element/region), requests viewport
+  captures from background, stitches them into one tall image (or, for a quick
+  capture, takes a single screenshot of the visible area), encodes it with
+  capture_output.js and asks background to download it, or to open it in the
+  annotation editor first.
 */
 
-/* global browser */
+/* global browser, DEFAULT_SETTINGS, loadSettings, createStitcher, createThumbnail, startPageRedaction, compileRedactionPatterns, redactText, ERROR_CODES, createProtocolError, okResponse, errorResponse, toErrorResponse, listenForRequests, sendRequest, sendNotification, throwIfFailed */
 
 (function () {
   // Debounce to avoid multiple concurrent runs
   let isRunning = false;
 
-  browser.runtime.onMessage.addListener(async (message) => {
-    if (!message || message.type !== 'start-capture') return;
-    if (isRunning) return;
+  // Element under the last right-click, for the "Capture this element" menu entry
+  let lastContextTarget = null;
+  document.addEventListener('contextmenu', (event) => {
+    lastContextTarget = event.target;
+  }, true);
+
+  // Safety limits for pages that keep growing while they are scrolled (infinite
+  // scroll). maxHeight is in CSS pixels; warmUpTimeout bounds the pre-scroll pass.
+  // maxHeight and maxSlices can be changed on the options page.
+  const DEFAULT_CAPTURE_LIMITS = {
+    maxHeight: DEFAULT_SETTINGS.maxHeight,
+    maxSlices: DEFAULT_SETTINGS.maxSlices,
+    warmUpTimeout: 30000
+  };
+
+  // Larger captures are downloaded instead of copied: the clipboard holds the
+  // image uncompressed (4 bytes per pixel) and the OS may refuse huge ones
+  const MAX_CLIPBOARD_PIXELS = 32 * 1024 * 1024;
+
+  // Capture modes that cover one element or rectangle instead of the whole content
+  const TARGETED_MODES = ['region', 'element', 'selection'];
+
+  // The part of the overall progress bar each phase fills, in percent
+  const PROGRESS_PHASES = {
+    preparing: [0, 0],
+    capturing: [0, 70],
+    stitching: [70, 90],
+    encoding: [90, 100]
+  };
+
+  // { controller, stitcher } of the capture in progress, for cancel-capture
+  let activeCapture = null;
+
+  // Paragraph requests are answered by paragraph_extractor.js
+  listenForRequests({
+    // Lets background check whether this script is already present before injecting it
+    ping: () => ({}),
+    'start-capture': (message) => runCapture(message),
+    'cancel-capture': () => cancelCapture()
+  });
+
+  // Resolves with { filename } once the output has been handed to background
+  // ({ copied } or { editing } for the clipboard and the editor), and throws
+  // when nothing was saved. message.filename (a template like the one on the
+  // options page) and message.saveAs override the settings, for batch captures.
+  async function runCapture(message) {
+    if (isRunning) throw createProtocolError(ERROR_CODES.BUSY);
     isRunning = true;
+    const capture = { controller: new AbortController(), stitcher: null };
+    activeCapture = capture;
 
     try {
-      const meta = getDocumentMetrics();
-      console.log('Document metrics:', meta);
-      
-      const slices = await captureFullPage(meta);
-      console.log('Captured slices:', slices.length, 'total slices');
-      
-      if (slices.length === 0) {
-        console.error('No slices captured, aborting');
-        return;
-      }
-      
-      const stitched = await stitchImages(slices, meta.devicePixelRatio, meta.width, meta.totalHeight);
-      console.log('Stitched image:', {
-        pixelWidth: stitched.pixelWidth,
-        pixelHeight: stitched.pixelHeight,
-        canvasWidth: stitched.image.width,
-        canvasHeight: stitched.image.height
-      });
-      
-      // First, let's save the stitched image as PNG to verify stitching works
-      console.log('Testing stitched canvas...');
-      const testDataUrl = stitched.image.toDataURL('image/png');
-      console.log('Stitched image size:', (testDataUrl.length / 1024).toFixed(1), 'KB');
-      
-      // Create a more manageable blob URL for the stitched image
-      stitched.image.toBlob((blob) => {
-        const blobUrl = URL.createObjectURL(blob);
-        console.log('🖼️ STITCHED IMAGE BLOB URL (right-click → open in new tab):', blobUrl);
-        console.log('💡 This should show the complete webpage as one tall image');
-        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
-      }, 'image/png');
-      
-      // TEMPORARY: Save as PNG first to test if stitching works
-      console.log('🧪 TESTING: Saving stitched image as PNG first...');
-      stitched.image.toBlob(async (blob) => {
-        const arrayBuffer = await blob.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        const pngFilename = buildPdfFilename().replace('.pdf', '_stitched.png');
-        await browser.runtime.sendMessage({ 
-          type: 'save-pdf', 
-          filename: pngFilename, 
-          pdfBuffer: uint8Array.buffer 
-        });
-        console.log('✅ PNG saved:', pngFilename);
-      }, 'image/png');
-
-      const pdfBytes = await renderPdfFromImage(stitched.image, stitched.pixelWidth, stitched.pixelHeight);
-      console.log('PDF generated:', pdfBytes.byteLength, 'bytes');
-      
-      await browser.runtime.sendMessage({ type: 'save-pdf', filename: buildPdfFilename(), pdfBuffer: pdfBytes });
-      console.log('PDF save message sent');
+      reportCaptureProgress('preparing', 0, 1);
+      const result = await captureAndSave(message, capture);
+      sendNotification('capture-progress', { phase: 'finished', ...okResponse(result) });
+      return result;
     } catch (err) {
-      console.error('Capture failed:', err);
-      console.error('Error stack:', err.stack);
+      // Whatever the cancel interrupted (a slice, the worker) fails its own way
+      const error = capture.controller.signal.aborted ? createProtocolError(ERROR_CODES.CANCELLED) : err;
+      sendNotification('capture-progress', { phase: 'finished', ...toErrorResponse(error) });
+      throw error;
     } finally {
+      // Frees the stitched image and ends the worker, whatever the outcome
+      if (capture.stitcher) capture.stitcher.release();
+      activeCapture = null;
       isRunning = false;
     }
-  });
+  }
 
-  function getDocumentMetrics() {
-    const body = document.body;
-    const html = document.documentElement;
-    const scrollHeight = Math.max(
-      body.scrollHeight, html.scrollHeight,
-      body.offsetHeight, html.offsetHeight,
-      body.clientHeight, html.clientHeight
+  // Does the work of runCapture; capture ({ controller, stitcher }) is shared
+  // with cancelCapture, which aborts controller and releases the stitcher
+  async function captureAndSave(message, capture) {
+    const signal = capture.controller.signal;
+
+    // Preferences are read per capture so changes on the options page apply at once
+    const settings = await loadSettings(location.hostname);
+    console.log('Capture settings:', settings);
+
+    const filenameTemplate = message.filename || settings.filenameTemplate;
+    // The popup's choice wins; the options page provides the default
+    const format = message.format || settings.outputFormat;
+    const outputOptions = {
+      quality: typeof message.quality === 'number' ? message.quality : settings.imageQuality,
+      pdfLayout: message.pdfLayout,
+      jpegQualities: settings.jpegQualities
+    };
+    const edit = typeof message.edit === 'boolean' ? message.edit : settings.openEditor;
+
+    // A quick capture saved as PNG is the screenshot as the browser took it;
+    // there is nothing to stitch or encode
+    if (message.mode === 'visible' && format === 'png' && !edit && message.target !== 'clipboard') {
+      return saveViewportScreenshot(message, settings, filenameTemplate, signal);
+    }
+
+    const stitcher = await createStitcher(reportCaptureProgress);
+    capture.stitcher = stitcher;
+
+    // Sensitive content stays masked until the last screenshot is taken,
+    // including content the page adds while it is scrolled. Nothing that can
+    // fail runs between masking and the try below, which always unmasks.
+    const redaction = settings.redactEnabled ? startPageRedaction(settings) : null;
+    const captureOptions = {
+      stitcher,
+      signal,
+      redaction,
+      // Link targets never show on the page, so the mask cannot hide them;
+      // they are checked against the patterns instead
+      redactPatterns: settings.redactEnabled ? compileRedactionPatterns(settings.redactPatterns) : [],
+      // Only PDFs get text and link layers; edits could cover content those
+      // layers would still hold
+      collectPdfData: format === 'pdf' && !edit
+    };
+
+    // 'visible' is a quick capture of the screen as it is: a single
+    // screenshot, no scrolling
+    let stitched;
+    try {
+      stitched = message.mode === 'visible'
+        ? await captureVisibleViewport(captureOptions)
+        : await captureScrolledContent(message, settings, captureOptions);
+    } finally {
+      if (redaction) redaction.restore();
+    }
+    if (!stitched) {
+      throw createProtocolError(ERROR_CODES.CANCELLED);
+    }
+    throwIfCancelled(signal);
+    // Whatever was captured is still saved, but not without saying it is incomplete
+    let warning = stitched.warning;
+    if (warning) {
+      showPageNotice(warning);
+    }
+    outputOptions.textRuns = stitched.textRuns;
+    outputOptions.links = stitched.links;
+    outputOptions.headings = stitched.headings;
+    outputOptions.metadata = collectDocumentInfo(settings);
+
+    // The editor page saves the result itself once the user is done. It
+    // edits one canvas, so captures spanning several strips are saved directly.
+    const png = edit ? await stitcher.encodePng() : null;
+    if (edit && !png) {
+      showPageNotice('The capture is too large for the editor — saving it instead');
+    }
+    if (png) {
+      throwIfFailed(await sendRequest('open-editor', {
+        buffer: png,
+        capture: {
+          title: document.title,
+          basename: expandFilenameTemplate(filenameTemplate),
+          format,
+          quality: outputOptions.quality,
+          pdfLayout: outputOptions.pdfLayout,
+          jpegQualities: outputOptions.jpegQualities,
+          metadata: outputOptions.metadata
+        }
+      }));
+      return { editing: true, warning };
+    }
+
+    // message.target 'clipboard' copies a PNG instead of downloading; when
+    // that is not possible the capture is saved the usual way
+    if (message.target === 'clipboard') {
+      const copied = await copyToClipboard(stitched, stitcher);
+      if (copied.ok) {
+        showPageNotice('Capture copied to the clipboard');
+        return { copied: true, warning };
+      }
+      console.warn('Copy to clipboard failed, downloading instead:', copied.error);
+      showPageNotice(`${copied.error} — downloading it instead`);
+    }
+
+    const saveOptions = createSaveOptions(message, stitched.pixelWidth, stitched.pixelHeight, await stitcher.thumbnail());
+    const output = await stitcher.encode(format, outputOptions);
+    throwIfCancelled(signal);
+    if (output.warning) {
+      showPageNotice(output.warning);
+      warning = warning ? `${warning}. ${output.warning}` : output.warning;
+    }
+    const filename = `${expandFilenameTemplate(filenameTemplate)}.${output.extension}`;
+    await saveFile(filename, output.mimeType, output.buffer, saveOptions);
+    return { filename, warning };
+  }
+
+  // Saves the PNG that capture-viewport returns as it is. The screenshot is
+  // only decoded for the history thumbnail.
+  async function saveViewportScreenshot(message, settings, filenameTemplate, signal) {
+    const redaction = settings.redactEnabled ? startPageRedaction(settings) : null;
+    let dataUrl;
+    try {
+      ({ dataUrl } = throwIfFailed(await sendRequest('capture-viewport')));
+    } finally {
+      if (redaction) redaction.restore();
+    }
+    throwIfCancelled(signal);
+
+    const blob = await (await fetch(dataUrl)).blob();
+    const bitmap = await createImageBitmap(blob);
+    let saveOptions;
+    try {
+      saveOptions = createSaveOptions(message, bitmap.width, bitmap.height, await createThumbnail(bitmap));
+    } finally {
+      bitmap.close();
+    }
+    throwIfCancelled(signal);
+
+    const filename = `${expandFilenameTemplate(filenameTemplate)}.png`;
+    await saveFile(filename, 'image/png', await blob.arrayBuffer(), saveOptions);
+    return { filename };
+  }
+
+  // Recorded by background in the capture history next to the saved file;
+  // message.saveAs overrides the setting for batch captures
+  function createSaveOptions(message, width, height, thumbnail) {
+    const saveOptions = {
+      history: { title: document.title, width, height, thumbnail }
+    };
+    if (typeof message.saveAs === 'boolean') {
+      saveOptions.saveAs = message.saveAs;
+    }
+    return saveOptions;
+  }
+
+  // Stops the running capture: the scroll loop ends at its next step and puts
+  // the page back, and pending stitching or encoding is dropped
+  function cancelCapture() {
+    if (!activeCapture) throw createProtocolError(ERROR_CODES.FAILED, 'No capture is running');
+    activeCapture.controller.abort();
+    if (activeCapture.stitcher) activeCapture.stitcher.release();
+    return {};
+  }
+
+  function throwIfCancelled(signal) {
+    if (signal.aborted) throw createProtocolError(ERROR_CODES.CANCELLED);
+  }
+
+  // Lets background (badge) and an open popup (progress bar) show how far the
+  // capture has got. percent covers all phases, see PROGRESS_PHASES.
+  function reportCaptureProgress(phase, done, total) {
+    const [from, to] = PROGRESS_PHASES[phase];
+    const percent = Math.round(from + (to - from) * (total > 0 ? Math.min(done / total, 1) : 0));
+    sendNotification('capture-progress', { phase, done, total, percent });
+  }
+
+  // Scrolls through the page, a picked element or a region and stitches the
+  // slices with options.stitcher, which keeps the image: { pixelWidth,
+  // pixelHeight, warning, textRuns, links, headings }, where warning says why
+  // the capture is incomplete. Resolves to null if the user cancels picking.
+  // options: { stitcher, signal, redaction, redactPatterns, collectPdfData };
+  // textRuns, links and headings are only filled in with collectPdfData.
+  async function captureScrolledContent(message, settings, options) {
+    // Targeted modes capture one element or rectangle and scroll whatever
+    // container it lives in
+    let region = null;
+    let target;
+    let picked = null;
+    if (TARGETED_MODES.includes(message.mode)) {
+      picked = await resolveTargetedElement(message.mode);
+      if (!picked) {
+        console.log('Region selection cancelled');
+        return null;
+      }
+      const container = message.scrollContainer === 'page' ? null : findScrollableAncestor(picked.element, false);
+      target = createScrollTarget(container);
+      region = toTargetRegion(picked.rect, target);
+    } else {
+      target = await resolveScrollTarget(message.scrollContainer);
+      if (!target) {
+        console.log('Scroll container selection cancelled');
+        return null;
+      }
+    }
+
+    const limits = resolveCaptureLimits({
+      maxHeight: settings.maxHeight,
+      maxSlices: settings.maxSlices,
+      ...(message.limits || {})
+    });
+
+    // Lazy images and infinite scroll only matter when capturing the whole content
+    if (!region && message.warmUp !== false) {
+      await warmUpContent(target, limits, options.signal);
+      throwIfCancelled(options.signal);
+    }
+
+    // Measured after the warm-up so content it loaded is included
+    const meta = getDocumentMetrics(target);
+    console.log('Document metrics:', meta);
+
+    const captureRegion = clampRegion(region || getFullPageRegion(meta), meta);
+    console.log('Capture region:', captureRegion);
+    
+    const capture = await captureFullPage(meta, captureRegion, target, {
+      hideFixedElements: message.hideFixedElements !== false,
+      // What is being captured may itself sit in a fixed shell, modal or panel
+      keepVisible: [target.element, picked && picked.element].filter(Boolean),
+      growWithContent: !region,
+      maxHeight: limits.maxHeight,
+      maxSlices: limits.maxSlices,
+      scrollDelay: settings.scrollDelay,
+      signal: options.signal,
+      onProgress: (done, estimate) => reportCaptureProgress('capturing', done, estimate)
+    });
+    // The loop has put the page back; the slices taken so far are dropped
+    throwIfCancelled(options.signal);
+    const slices = capture.slices;
+    console.log('Captured slices:', slices.length, 'total slices');
+    
+    if (slices.length === 0) {
+      throw new Error('No slices captured');
+    }
+
+    // Read once the loop has restored the page, so content it loaded is included
+    const pdfData = options.collectPdfData
+      ? collectPdfData(target, capture.region, meta.devicePixelRatio, options.redaction, options.redactPatterns, true)
+      : { textRuns: [], links: [], headings: [] };
+    
+    const stitched = await options.stitcher.stitch(slices, meta.devicePixelRatio, capture.region);
+    console.log('Stitched image:', stitched);
+    const warning = capture.stopReason
+      ? `The capture stopped after ${slices.length} screenshots: ${capture.stopReason.error}`
+      : undefined;
+    return { pixelWidth: stitched.pixelWidth, pixelHeight: stitched.pixelHeight, warning, ...pdfData };
+  }
+
+  // Same result shape as captureScrolledContent, from one captureVisibleTab call
+  async function captureVisibleViewport(options) {
+    const { dataUrl } = throwIfFailed(await sendRequest('capture-viewport'));
+
+    // The whole screenshot, scrollbars included, as the only slice
+    const scroll = { x: window.scrollX, y: window.scrollY };
+    const size = { width: window.innerWidth, height: window.innerHeight };
+    const stitched = await options.stitcher.stitch(
+      [{ x: scroll.x, y: scroll.y, viewport: { left: 0, top: 0, ...size }, dataUrl }],
+      window.devicePixelRatio || 1,
+      { ...scroll, ...size }
     );
-    const viewportHeight = window.innerHeight;
-    const viewportWidth = window.innerWidth;
-    const dpr = window.devicePixelRatio || 1;
+
+    let pdfData = { textRuns: [], links: [], headings: [] };
+    if (options.collectPdfData) {
+      const target = createScrollTarget(null);
+      const region = toTargetRegion(target.getViewport(), target);
+      pdfData = collectPdfData(target, region, window.devicePixelRatio || 1, options.redaction, options.redactPatterns, false);
+    }
+    return { pixelWidth: stitched.pixelWidth, pixelHeight: stitched.pixelHeight, ...pdfData };
+  }
+
+  // What the PDF layers need from the page, in pixels of the stitched image.
+  // redactPatterns are the compiled redaction patterns, empty when it is off.
+  // scrolled is set for captures stitched from several scroll positions: fixed
+  // and sticky elements move with the viewport there, so they appear in the
+  // image (if at all) away from where they are measured and are left out.
+  function collectPdfData(target, region, dpr, redaction, redactPatterns, scrolled) {
+    const isMisplaced = scrolled ? createFixedLayerCheck(target) : () => false;
     return {
-      totalHeight: scrollHeight,
-      viewportHeight,
-      width: viewportWidth,
-      devicePixelRatio: dpr
+      textRuns: collectTextRuns(target, region, dpr, redaction, isMisplaced),
+      links: collectLinks(target, region, dpr, redaction, redactPatterns || [], isMisplaced),
+      headings: collectHeadings(target, region, dpr, redaction, isMisplaced)
     };
   }
 
-  async function captureFullPage(meta) {
-    const { totalHeight, viewportHeight } = meta;
-    const slices = [];
+  // Tells whether an element is, or sits inside, a fixed or sticky element
+  // within the scroll target; computed styles are looked up once per element
+  function createFixedLayerCheck(target) {
+    const results = new Map();
+    const check = (element) => {
+      if (!element || element === target.element) return false;
+      if (!results.has(element)) {
+        const position = getComputedStyle(element).position;
+        results.set(element, position === 'fixed' || position === 'sticky' || check(element.parentElement));
+      }
+      return results.get(element);
+    };
+    return check;
+  }
 
-    // Preserve initial scroll position
-    const originalScrollX = window.scrollX;
-    const originalScrollY = window.scrollY;
+  // The visible h1–h3 headings inside region, in document order, as [{ title,
+  // level, x, y, width, height }] in pixels of the stitched image. They become
+  // the PDF outline; text redacted on the page stays redacted in the title.
+  function collectHeadings(target, region, dpr, redaction, isMisplaced) {
+    const viewport = target.getViewport();
+    const scroll = target.getScroll();
+    const root = target.element || document;
+    const headings = [];
 
-    // Use a fixed step equal to viewportHeight, but handle the last partial slice
-    let currentY = 0;
-    const maxScrollY = totalHeight - viewportHeight;
+    for (const heading of root.querySelectorAll('h1, h2, h3')) {
+      const title = heading.textContent.replace(/\s+/g, ' ').trim();
+      if (!title) continue;
+      if (redaction && redaction.isMasked(heading)) continue;
+      if (isMisplaced(heading)) continue;
+      if (getComputedStyle(heading).visibility !== 'visible') continue;
 
-    // Add small delay to allow layout/scroll to settle per step
-    const wait = (ms) => new Promise((res) => setTimeout(res, ms));
+      const rect = heading.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      const top = rect.top - viewport.top + scroll.y;
+      const left = Math.max(rect.left - viewport.left + scroll.x, region.x);
+      if (top < region.y || top >= region.y + region.height) continue;
 
-    while (currentY <= maxScrollY + 1) {
-      window.scrollTo(0, currentY);
-      await wait(150);
-      // Ask background to capture the visible area
-      const dataUrl = await browser.runtime.sendMessage({ type: 'capture-viewport' });
-      if (!dataUrl) {
-        console.warn('capture-viewport returned empty result; aborting capture loop');
-        break;
+      headings.push({
+        title,
+        level: Number(heading.tagName[1]),
+        x: (left - region.x) * dpr,
+        y: (top - region.y) * dpr,
+        width: rect.width * dpr,
+        height: Math.min(rect.height, region.y + region.height - top) * dpr
+      });
+    }
+
+    console.log('Collected headings for the PDF outline:', headings.length);
+    return headings;
+  }
+
+  // PDF document properties from the page, plus the extension as Producer.
+  // The title and meta tags can hold the same personal data as the page text,
+  // so redaction applies to them too.
+  function collectDocumentInfo(settings) {
+    const readMeta = (name) => {
+      const meta = document.querySelector(`meta[name="${name}" i]`);
+      return meta ? meta.content.trim() : '';
+    };
+    const regexes = settings.redactEnabled ? compileRedactionPatterns(settings.redactPatterns) : [];
+    const manifest = browser.runtime.getManifest();
+    return {
+      title: redactText(document.title, regexes),
+      subject: redactText(readMeta('description'), regexes),
+      author: redactText(readMeta('author'), regexes),
+      source: location.href,
+      producer: `${manifest.name} ${manifest.version}`
+    };
+  }
+
+  // Every visible <a href> inside region as [{ url, x, y, width, height }] in
+  // pixels of the stitched image; a link that wraps gets one box per line.
+  // Links whose target matches a redaction pattern (a mailto: address, a token
+  // in the query string) are left out, as a redacted URL leads nowhere.
+  function collectLinks(target, region, dpr, redaction, redactPatterns, isMisplaced) {
+    const viewport = target.getViewport();
+    const scroll = target.getScroll();
+    const root = target.element || document;
+    const links = [];
+
+    for (const anchor of root.querySelectorAll('a[href]')) {
+      const url = anchor.href;
+      if (!/^(https?|mailto|ftp):/i.test(url)) continue;
+      if (redaction && redaction.isMasked(anchor)) continue;
+      if (isRedactedUrl(url, redactPatterns)) continue;
+      if (isMisplaced(anchor)) continue;
+      if (getComputedStyle(anchor).visibility !== 'visible') continue;
+
+      for (const rect of anchor.getClientRects()) {
+        if (rect.width === 0 || rect.height === 0) continue;
+        const left = Math.max(rect.left - viewport.left + scroll.x, region.x);
+        const top = Math.max(rect.top - viewport.top + scroll.y, region.y);
+        const right = Math.min(rect.right - viewport.left + scroll.x, region.x + region.width);
+        const bottom = Math.min(rect.bottom - viewport.top + scroll.y, region.y + region.height);
+        if (right <= left || bottom <= top) continue;
+
+        links.push({
+          url,
+          x: (left - region.x) * dpr,
+          y: (top - region.y) * dpr,
+          width: (right - left) * dpr,
+          height: (bottom - top) * dpr
+        });
       }
-      console.log('captured viewport', dataUrl ? dataUrl.substring(0, 48) + '...' : dataUrl);
-      slices.push({ y: currentY, dataUrl });
-      currentY += viewportHeight;
     }
 
-    // Restore original scroll position
-    window.scrollTo(originalScrollX, originalScrollY);
+    console.log('Collected links for the PDF:', links.length);
+    return links;
+  }
 
-    return slices;
+  // Checks the URL as written and percent-decoded, so alice%40corp.com is
+  // caught by the same pattern as alice@corp.com
+  function isRedactedUrl(url, redactPatterns) {
+    if (redactPatterns.length === 0) return false;
+    let decoded = url;
+    try {
+      decoded = decodeURIComponent(url);
+    } catch (_) {
+      // Malformed escapes; the URL as written is still checked
+    }
+    return redactText(url, redactPatterns) !== url || redactText(decoded, redactPatterns) !== decoded;
   }
 
-  async function stitchImages(slices, dpr, cssWidth, cssTotalHeight) {
-    console.log('Stitching images:', {
-      sliceCount: slices.length,
-      dpr,
-      cssWidth,
-      cssTotalHeight
-    });
+  // The text inside region, as runs of words that share a line: [{ text, x, y,
+  // width, height }] in pixels of the stitched image. Positions come from
+  // Range.getClientRects() and the target's current scroll offset, so the page
+  // must be scrolled back to where it was. Text inside masked elements and
+  // redacted words are left out.
+  function collectTextRuns(target, region, dpr, redaction, isMisplaced) {
+    const viewport = target.getViewport();
+    const scroll = target.getScroll();
+    const toImageX = (clientX) => (clientX - viewport.left + scroll.x - region.x) * dpr;
+    const toImageY = (clientY) => (clientY - viewport.top + scroll.y - region.y) * dpr;
+    const imageWidth = region.width * dpr;
+    const imageHeight = region.height * dpr;
 
-    // Decode images to determine pixel dimensions
-    const images = await Promise.all(
-      slices.map((s, index) => {
-        console.log(`Loading image ${index}:`, s.dataUrl ? s.dataUrl.substring(0, 50) + '...' : 'null');
-        return createImage(s.dataUrl);
-      })
-    );
+    const visibility = new Map();
+    const isVisible = (element) => {
+      if (!visibility.has(element)) {
+        visibility.set(element, getComputedStyle(element).visibility === 'visible');
+      }
+      return visibility.get(element);
+    };
 
-    console.log('Images loaded:', images.map(img => ({
-      width: img.naturalWidth,
-      height: img.naturalHeight,
-      complete: img.complete
-    })));
+    const root = target.element || document.body;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || !node.nodeValue.trim() || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA'].includes(parent.tagName)) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        if (!isVisible(parent) || isMisplaced(parent) || (redaction && redaction.isMasked(node))) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
 
-    // Assume all slices have identical pixel width/height except maybe last
-    const pixelWidth = images[0].naturalWidth;
-    const pixelViewportHeight = images[0].naturalHeight;
+    const runs = [];
+    const range = document.createRange();
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const wordPattern = /\S+/g;
+      let run = null;
+      let match;
+      while ((match = wordPattern.exec(node.nodeValue))) {
+        if (/^█+$/.test(match[0])) continue;
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        const rect = range.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) continue;
 
-    console.log('Base dimensions:', { pixelWidth, pixelViewportHeight });
+        const box = {
+          x: toImageX(rect.left),
+          y: toImageY(rect.top),
+          width: rect.width * dpr,
+          height: rect.height * dpr
+        };
+        if (box.x < 0 || box.y < 0 || box.x + box.width > imageWidth || box.y + box.height > imageHeight) continue;
 
-    // Map CSS y offset to pixel y offset using DPR
-    const toPixels = (css) => Math.round(css * dpr);
+        // A word continues the run when it sits on the same line, to its right
+        if (run && Math.abs(box.y - run.y) < box.height / 2 && box.x >= run.x + run.width - dpr) {
+          run.text += ` ${match[0]}`;
+          run.width = box.x + box.width - run.x;
+          run.height = Math.max(run.height, box.height);
+        } else {
+          if (run) runs.push(run);
+          run = { text: match[0], ...box };
+        }
+      }
+      if (run) runs.push(run);
+    }
 
-    // Compute total output height in pixels
-    // Last image may be partial; compute using cssTotalHeight
-    const totalPixelHeight = toPixels(cssTotalHeight);
+    console.log('Collected text runs for the PDF text layer:', runs.length);
+    return runs;
+  }
 
-    console.log('Canvas dimensions:', { pixelWidth, totalPixelHeight });
+  // Sizes are measured on the scroll target: the window, or an inner container
+  function getDocumentMetrics(target) {
+    const scrollTarget = target || createScrollTarget(null);
+    const size = scrollTarget.getScrollSize();
+    const viewport = scrollTarget.getViewport();
+    const dpr = window.devicePixelRatio || 1;
+    return {
+      totalWidth: size.width,
+      totalHeight: size.height,
+      viewportWidth: viewport.width,
+      viewportHeight: viewport.height,
+      devicePixelRatio: dpr,
+      container: scrollTarget.element ? describeElement(scrollTarget.element) : 'window'
+    };
+  }
 
-    const canvas = document.createElement('canvas');
-    canvas.width = pixelWidth;
-    canvas.height = totalPixelHeight;
-    const ctx = canvas.getContext('2d');
+  function getDocumentScrollHeight() {
+    const body = document.body;
+    const html = document.documentElement;
+    return Math.max(
+      body.scrollHeight, html.scrollHeight,
+      body.offsetHeight, html.offsetHeight,
+      body.clientHeight, html.clientHeight
+    );
+  }
 
-    // Fill with white background first
-    ctx.fillStyle = 'white';
-    ctx.fillRect(0, 0, pixelWidth, totalPixelHeight);
+  function getDocumentScrollWidth() {
+    const body = document.body;
+    const html = document.documentElement;
+    return Math.max(
+      body.scrollWidth, html.scrollWidth,
+      body.offsetWidth, html.offsetWidth,
+      body.clientWidth, html.clientWidth
+    );
+  }
 
-    for (let i = 0; i < images.length; i++) {
-      const img = images[i];
-      const cssY = slices[i].y;
-      const destY = toPixels(cssY);
+  // The window's viewport without its scrollbars, so tiles never include them.
+  // In quirks mode the body reports the viewport size instead of the root element.
+  function getWindowViewportSize() {
+    const el = document.compatMode === 'BackCompat' ? document.body : document.documentElement;
+    return { width: el.clientWidth, height: el.clientHeight };
+  }
 
-      console.log(`Drawing image ${i}:`, {
-        cssY,
-        destY,
-        imgWidth: img.naturalWidth,
-        imgHeight: img.naturalHeight
+  // Wraps whatever scrolls the content being captured: the window itself, or an
+  // inner element in app-style layouts (Gmail, docs sites with a fixed shell)
+  // where the document never scrolls. Scroll offsets and sizes are in CSS pixels
+  // of the target's content; getViewport() is where that content shows on screen.
+  function createScrollTarget(element) {
+    if (!element) {
+      return {
+        element: null,
+        getScroll: () => ({ x: window.scrollX, y: window.scrollY }),
+        scrollTo: (x, y) => window.scrollTo(x, y),
+        getViewport: () => ({ left: 0, top: 0, ...getWindowViewportSize() }),
+        getScrollSize: () => ({ width: getDocumentScrollWidth(), height: getDocumentScrollHeight() })
+      };
+    }
+    return {
+      element,
+      getScroll: () => ({ x: element.scrollLeft, y: element.scrollTop }),
+      scrollTo: (x, y) => element.scrollTo(x, y),
+      getViewport: () => {
+        const rect = element.getBoundingClientRect();
+        return {
+          left: rect.left + element.clientLeft,
+          top: rect.top + element.clientTop,
+          width: element.clientWidth,
+          height: element.clientHeight
+        };
+      },
+      getScrollSize: () => ({ width: element.scrollWidth, height: element.scrollHeight })
+    };
+  }
+
+  // choice is 'page' (always the window), 'pick' (the user clicks inside the
+  // container to capture) or 'auto'. Resolves with null if picking is cancelled.
+  async function resolveScrollTarget(choice) {
+    if (choice === 'page') {
+      return createScrollTarget(null);
+    }
+    if (choice === 'pick') {
+      const picked = await runPicker({
+        allowDrag: false,
+        hint: 'Click inside the area that scrolls — Esc to cancel'
       });
+      if (!picked) return null;
+      return createScrollTarget(findScrollableAncestor(picked.element, true));
+    }
+    // Auto: a page that scrolls normally is captured as before; otherwise look for
+    // the container that carries the content
+    if (getDocumentScrollHeight() > window.innerHeight + 1) {
+      return createScrollTarget(null);
+    }
+    const container = findDominantScrollContainer();
+    console.log('Dominant scroll container:', container ? describeElement(container) : 'none');
+    return createScrollTarget(container);
+  }
 
-      // Determine the source region to draw for the last slice if it overflows
-      let srcX = 0;
-      let srcY = 0;
-      let srcW = pixelWidth;
-      let srcH = pixelViewportHeight;
+  function isScrollableElement(el) {
+    if (el.scrollHeight <= el.clientHeight + 1 || el.clientHeight === 0) return false;
+    const overflowY = getComputedStyle(el).overflowY;
+    return overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay';
+  }
 
-      const remaining = totalPixelHeight - destY;
-      if (remaining < pixelViewportHeight) {
-        srcH = Math.max(0, remaining);
-        console.log(`Last slice clipped: remaining=${remaining}, srcH=${srcH}`);
+  // The vertically scrollable element with the largest on-screen area, provided it
+  // covers at least a quarter of the viewport (smaller ones are code blocks, menus...)
+  function findDominantScrollContainer() {
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    let best = null;
+    let bestArea = 0;
+
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+      if (!isScrollableElement(el)) continue;
+      const rect = el.getBoundingClientRect();
+      const visibleWidth = Math.min(rect.right, viewportWidth) - Math.max(rect.left, 0);
+      const visibleHeight = Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0);
+      const area = Math.max(0, visibleWidth) * Math.max(0, visibleHeight);
+      if (area > bestArea) {
+        best = el;
+        bestArea = area;
       }
+    }
 
-      if (srcH > 0) {
-        try {
-          ctx.drawImage(img, srcX, srcY, srcW, srcH, 0, destY, srcW, srcH);
-          console.log(`Successfully drew image ${i}`);
-        } catch (e) {
-          console.error(`Failed to draw image ${i}:`, e);
+    return bestArea >= viewportWidth * viewportHeight * 0.25 ? best : null;
+  }
+
+  function findScrollableAncestor(element, includeSelf) {
+    let el = element && (includeSelf ? element : element.parentElement);
+    while (el && el !== document.body && el !== document.documentElement) {
+      if (isScrollableElement(el)) return el;
+      el = el.parentElement;
+    }
+    return null;
+  }
+
+  // Converts a viewport rect into the scroll target's content coordinates
+  function toTargetRegion(rect, target) {
+    const viewport = target.getViewport();
+    const scroll = target.getScroll();
+    return {
+      x: rect.left - viewport.left + scroll.x,
+      y: rect.top - viewport.top + scroll.y,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  // What a targeted capture covers, as { element, rect } in client coordinates:
+  // 'element' uses the element that was right-clicked and 'selection' the
+  // current text selection. Without either (and for 'region') the user picks
+  // on the page; resolves to null if that is cancelled.
+  function resolveTargetedElement(mode) {
+    if (mode === 'element' && lastContextTarget && lastContextTarget.isConnected) {
+      return Promise.resolve({ element: lastContextTarget, rect: lastContextTarget.getBoundingClientRect() });
+    }
+
+    if (mode === 'selection') {
+      const selection = window.getSelection();
+      if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+        const range = selection.getRangeAt(0);
+        const rect = range.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          const node = range.commonAncestorContainer;
+          // Keep the selection highlight out of the screenshot
+          selection.removeAllRanges();
+          return Promise.resolve({
+            element: node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement,
+            rect
+          });
         }
       }
     }
 
-    // Test if canvas has content by checking a few pixels
-    const imageData = ctx.getImageData(0, 0, Math.min(100, pixelWidth), Math.min(100, totalPixelHeight));
-    const hasContent = imageData.data.some((value, index) => {
-      // Check RGB values (skip alpha channel)
-      return index % 4 !== 3 && value !== 255; // Not white
+    return runPicker({
+      allowDrag: true,
+      hint: 'Click an element or drag to select a region — Esc to cancel'
     });
-    
-    console.log('Canvas content check:', { hasContent, canvasSize: imageData.data.length });
+  }
 
-    return { image: canvas, pixelWidth, pixelHeight: totalPixelHeight };
+  function describeElement(el) {
+    const id = el.id ? `#${el.id}` : '';
+    const classes = typeof el.className === 'string' && el.className.trim()
+      ? '.' + el.className.trim().split(/\s+/).join('.')
+      : '';
+    return `${el.tagName.toLowerCase()}${id}${classes}`;
   }
 
-  function createImage(dataUrl) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = (e) => reject(e);
-      img.src = dataUrl;
-    });
+  // The whole document, in CSS pixels relative to its top-left corner
+  function getFullPageRegion(meta) {
+    return { x: 0, y: 0, width: meta.totalWidth, height: meta.totalHeight };
   }
 
-  async function renderPdfFromImage(canvas, pixelWidth, pixelHeight) {
-    console.log('Starting PDF generation:', { pixelWidth, pixelHeight });
-    
+  // Keeps a region inside the scrollable content and rounds it to whole CSS pixels
+  function clampRegion(region, meta) {
+    const x = Math.max(0, Math.floor(region.x));
+    const y = Math.max(0, Math.floor(region.y));
+    const right = Math.min(meta.totalWidth, Math.ceil(region.x + region.width));
+    const bottom = Math.min(meta.totalHeight, Math.ceil(region.y + region.height));
+    return { x, y, width: Math.max(1, right - x), height: Math.max(1, bottom - y) };
+  }
+
+  // Tiles the region with viewport-sized captures: rows top to bottom, and
+  // within each row columns left to right, so content wider than the viewport
+  // (wide tables, dashboards) is covered too. Every slice records the scroll
+  // offset the browser actually applied, since scrolling is clamped at the edges
+  // of the content, and where the target's viewport sat on screen at that moment.
+  //
+  // options:
+  //   hideFixedElements - hide fixed/sticky elements once the first slice is
+  //     taken, so headers and banners appear only once in the stitched output
+  //   keepVisible - elements that must stay visible however they are
+  //     positioned (the scroll container, the picked element)
+  //   growWithContent - re-measure the content after every row and keep going
+  //     while it grows (content appended on scroll)
+  //   maxHeight, maxSlices - hard stops for content that never stops growing
+  //   scrollDelay - ms to wait after each scroll before capturing
+  //   signal - an AbortSignal; once aborted the loop stops before the next slice
+  //   onProgress(done, estimate) - called after every slice; the estimate of the
+  //     total grows with the content
+  //
+  // Resolves with { slices, region, stopReason }, where region is the area
+  // actually covered; it differs from the requested one when the content grew
+  // or a limit was hit. stopReason is the error response ({ code, error }) of
+  // the screenshot background gave up on, which cut the capture short.
+  async function captureFullPage(meta, region, target, options) {
+    const { viewportWidth, viewportHeight } = meta;
+    const area = region || getFullPageRegion(meta);
+    const scrollTarget = target || createScrollTarget(null);
+    const opts = { ...DEFAULT_CAPTURE_LIMITS, ...(options || {}) };
+    const scrollDelay = typeof opts.scrollDelay === 'number' ? opts.scrollDelay : DEFAULT_SETTINGS.scrollDelay;
+    const slices = [];
+    let hiddenElements = null;
+
+    // Preserve initial scroll position
+    const original = scrollTarget.getScroll();
+
+    const regionRight = area.x + area.width;
+    const maxBottom = area.y + opts.maxHeight;
+    let regionBottom = Math.min(area.y + area.height, maxBottom);
+    let capturedBottom = area.y;
+    let currentY = area.y;
+    let previousRowY = -1;
+    let stopped = false;
+    // The failed capture-viewport response that ended the loop early, if any
+    let stopReason = null;
+
+    // Add small delay to allow layout/scroll to settle per step
+    const wait = (ms) => new Promise((res) => setTimeout(res, ms));
+
     try {
-      return await createPdfFromCanvas(canvas, pixelWidth, pixelHeight, 0.92);
-    } catch (e) {
-      console.error('High-quality PDF generation failed:', e);
-      console.log('🔄 Trying with lower quality...');
-      
-      try {
-        return await createPdfFromCanvas(canvas, pixelWidth, pixelHeight, 0.5);
-      } catch (e2) {
-        console.error('Medium-quality PDF generation failed:', e2);
-        console.log('🔄 Trying with very small test image...');
-        
-        // Create a tiny test canvas to see if the PDF structure works at all
-        const testCanvas = document.createElement('canvas');
-        testCanvas.width = 200;
-        testCanvas.height = 200;
-        const ctx = testCanvas.getContext('2d');
-        ctx.fillStyle = 'red';
-        ctx.fillRect(0, 0, 200, 200);
-        ctx.fillStyle = 'white';
-        ctx.font = '20px Arial';
-        ctx.fillText('TEST', 75, 110);
-        
-        return await createPdfFromCanvas(testCanvas, 200, 200, 0.8);
+      while (!stopped) {
+        let currentX = area.x;
+        let previousX = -1;
+        let rowY = null;
+
+        while (true) {
+          scrollTarget.scrollTo(currentX, currentY);
+          await wait(scrollDelay);
+          const { x: scrollX, y: scrollY } = scrollTarget.getScroll();
+
+          // Scrolling no longer moves the page: the rest of the region is already captured
+          if (rowY === null) {
+            if (scrollY <= previousRowY) {
+              stopped = true;
+              break;
+            }
+            rowY = scrollY;
+          }
+          if (scrollX <= previousX) {
+            break;
+          }
+
+          if (opts.signal && opts.signal.aborted) {
+            console.log('Capture cancelled after', slices.length, 'slices');
+            stopped = true;
+            break;
+          }
+
+          if (slices.length >= opts.maxSlices) {
+            console.warn('Reached the maximum slice count; stopping capture', opts.maxSlices);
+            stopped = true;
+            break;
+          }
+
+          // Ask background to capture the visible area; it paces and retries
+          // screenshots itself, so a failure here means it gave up. Once some
+          // slices are in, the capture keeps them and says why it stopped.
+          const response = await sendRequest('capture-viewport');
+          if (!response.ok) {
+            if (slices.length === 0) {
+              throw createProtocolError(response.code, response.error);
+            }
+            console.warn('capture-viewport failed; aborting capture loop:', response.code, response.error);
+            stopReason = response;
+            stopped = true;
+            break;
+          }
+          const dataUrl = response.dataUrl;
+          console.log('captured viewport', dataUrl ? dataUrl.substring(0, 48) + '...' : dataUrl);
+          slices.push({ x: scrollX, y: scrollY, viewport: scrollTarget.getViewport(), dataUrl });
+          capturedBottom = Math.max(capturedBottom, scrollY + viewportHeight);
+          if (opts.onProgress) {
+            const columns = Math.ceil(area.width / viewportWidth);
+            const rows = Math.ceil((regionBottom - area.y) / viewportHeight);
+            opts.onProgress(slices.length, Math.max(slices.length, Math.min(columns * rows, opts.maxSlices)));
+          }
+
+          if (opts.hideFixedElements && !hiddenElements) {
+            hiddenElements = hideRepeatingElements(opts.keepVisible || []);
+            console.log('Hid repeating fixed/sticky elements:', hiddenElements.count);
+          }
+
+          if (scrollX + viewportWidth >= regionRight) {
+            break;
+          }
+          previousX = scrollX;
+          currentX = scrollX + viewportWidth;
+        }
+
+        if (stopped) {
+          break;
+        }
+
+        if (opts.growWithContent) {
+          const grownBottom = Math.min(scrollTarget.getScrollSize().height, maxBottom);
+          if (grownBottom > regionBottom) {
+            console.log('Content grew while capturing:', { from: regionBottom, to: grownBottom });
+            regionBottom = grownBottom;
+          }
+        }
+
+        if (rowY + viewportHeight >= regionBottom) {
+          break;
+        }
+        previousRowY = rowY;
+        currentY = rowY + viewportHeight;
+      }
+    } finally {
+      if (hiddenElements) {
+        hiddenElements.restore();
       }
+      // Restore original scroll position
+      scrollTarget.scrollTo(original.x, original.y);
     }
+
+    const coveredBottom = Math.min(regionBottom, capturedBottom);
+    return {
+      slices,
+      region: { ...area, height: Math.max(1, coveredBottom - area.y) },
+      stopReason
+    };
   }
 
-  async function createPdfFromCanvas(canvas, pixelWidth, pixelHeight, quality) {
-    // Scale down huge images to reasonable PDF dimensions
-    const maxPdfDimension = 14400; // 200 inches at 72 DPI
-    let pdfWidth = pixelWidth;
-    let pdfHeight = pixelHeight;
-    
-    if (pixelWidth > maxPdfDimension || pixelHeight > maxPdfDimension) {
-      const scale = Math.min(maxPdfDimension / pixelWidth, maxPdfDimension / pixelHeight);
-      pdfWidth = Math.round(pixelWidth * scale);
-      pdfHeight = Math.round(pixelHeight * scale);
-      console.log('Scaling PDF dimensions:', {
-        original: { pixelWidth, pixelHeight },
-        scaled: { pdfWidth, pdfHeight },
-        scale
-      });
+  function resolveCaptureLimits(requested) {
+    const limits = { ...DEFAULT_CAPTURE_LIMITS };
+    for (const key of Object.keys(limits)) {
+      const value = Number(requested && requested[key]);
+      if (Number.isFinite(value) && value > 0) {
+        limits[key] = value;
+      }
     }
-    
-    // Re-encode the canvas as JPEG
-    console.log('Converting canvas to JPEG with quality:', quality);
-    const jpegData = await canvasToJpegUint8Array(canvas, quality);
-    console.log('JPEG conversion complete:', {
-      jpegSize: jpegData.byteLength,
-      jpegSizeKB: (jpegData.byteLength / 1024).toFixed(1)
-    });
+    return limits;
+  }
 
-    // Test the JPEG data by creating a data URL
-    const jpegBlob = new Blob([jpegData], { type: 'image/jpeg' });
-    const jpegDataUrl = URL.createObjectURL(jpegBlob);
-    console.log('🖼️ JPEG VERSION (click to view):', jpegDataUrl);
-    setTimeout(() => URL.revokeObjectURL(jpegDataUrl), 30000);
+  // Scrolls through the content once before capturing so lazy-loaded images are
+  // fetched and infinite-scroll pages append their next batches. Each step waits
+  // for the network to go quiet and for visible images to finish loading. Stops
+  // at the bottom, at limits.maxHeight, after limits.warmUpTimeout or when
+  // signal is aborted, then returns to where the user was.
+  async function warmUpContent(target, limits, signal) {
+    const original = target.getScroll();
+    const viewportHeight = target.getViewport().height;
+    const deadline = Date.now() + limits.warmUpTimeout;
+    let y = 0;
+    let steps = 0;
 
-    console.log('Creating PDF...');
-    const pdf = new MinimalPdf();
-    const imageObjectId = pdf.addJpegImage(jpegData, pixelWidth, pixelHeight);
-    console.log('Image object added to PDF, ID:', imageObjectId);
-    
-    pdf.addPageWithImage(imageObjectId, pdfWidth, pdfHeight);
-    console.log('Page added to PDF with dimensions:', { pdfWidth, pdfHeight });
-    
-    const pdfBuffer = pdf.serialize();
-    console.log('PDF serialized:', {
-      bufferSize: pdfBuffer.byteLength,
-      bufferSizeKB: (pdfBuffer.byteLength / 1024).toFixed(1)
+    console.log('Warming up lazy content...');
+    while (Date.now() < deadline && !(signal && signal.aborted)) {
+      target.scrollTo(original.x, y);
+      await waitForContentToSettle();
+      steps++;
+
+      const scrolled = target.getScroll().y;
+      const bottom = Math.min(target.getScrollSize().height, limits.maxHeight);
+      if (scrolled + viewportHeight >= bottom || (steps > 1 && scrolled < y)) {
+        break;
+      }
+      y = scrolled + viewportHeight;
+    }
+
+    target.scrollTo(original.x, original.y);
+    await waitForContentToSettle();
+    console.log('Warm-up finished:', {
+      steps,
+      height: target.getScrollSize().height,
+      timedOut: Date.now() >= deadline
     });
-    
-    return pdfBuffer;
   }
 
-  function buildPdfFilename() {
-    const title = (document.title || 'webpage').replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\-]/g, '');
-    return `${title}.pdf`;
+  function waitForContentToSettle() {
+    return Promise.all([
+      waitForNetworkIdle(500, 3000),
+      waitForVisibleImages(3000)
+    ]);
   }
 
-  function canvasToPngUint8Array(canvas) {
+  // Resolves once no resource has finished loading for idleMs, or after timeoutMs.
+  // Content scripts cannot see requests in flight, so finished resource timing
+  // entries are the closest signal available.
+  function waitForNetworkIdle(idleMs, timeoutMs) {
     return new Promise((resolve) => {
-      canvas.toBlob((blob) => {
-        const reader = new FileReader();
-        reader.onloadend = () => {
-          resolve(new Uint8Array(reader.result));
-        };
-        reader.readAsArrayBuffer(blob);
-      }, 'image/png');
+      let idleTimer = null;
+      let observer = null;
+
+      const done = () => {
+        clearTimeout(idleTimer);
+        clearTimeout(deadlineTimer);
+        if (observer) observer.disconnect();
+        resolve();
+      };
+      const resetIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(done, idleMs);
+      };
+      const deadlineTimer = setTimeout(done, timeoutMs);
+
+      if (typeof PerformanceObserver === 'function') {
+        try {
+          observer = new PerformanceObserver(resetIdle);
+          observer.observe({ type: 'resource' });
+        } catch (e) {
+          observer = null;
+        }
+      }
+      resetIdle();
     });
   }
 
-  function canvasToJpegUint8Array(canvas, quality) {
-    return new Promise((resolve) => {
-      canvas.toBlob((blob) => {
-        const reader = new FileReader();
-        reader.onloadend = () => {
-          resolve(new Uint8Array(reader.result));
-        };
-        reader.readAsArrayBuffer(blob);
-      }, 'image/jpeg', quality);
+  // Resolves when every image intersecting the viewport has loaded (or failed),
+  // or after timeoutMs
+  function waitForVisibleImages(timeoutMs) {
+    const viewportHeight = window.innerHeight;
+    const viewportWidth = window.innerWidth;
+    const pending = Array.from(document.images).filter((img) => {
+      if (img.complete) return false;
+      const rect = img.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < viewportHeight && rect.right > 0 && rect.left < viewportWidth;
     });
+    if (pending.length === 0) {
+      return Promise.resolve();
+    }
+
+    const loads = pending.map((img) => new Promise((resolve) => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }));
+    const timeout = new Promise((resolve) => setTimeout(resolve, timeoutMs));
+    return Promise.race([Promise.all(loads), timeout]);
   }
 
-  // A very small PDF writer that supports embedding a PNG as a full page.
-  // Note: This is intentionally minimal and not a full-featured PDF library.
-  class MinimalPdf {
-    constructor() {
-      this.objects = [];
-      this.pages = [];
-      this.nextId = 1;
-      this.catalogId = this.nextObjectId();
-      this.pagesId = this.nextObjectId();
-    }
-
-    nextObjectId() {
-      return this.nextId++;
-    }
-
-    addObject(str) {
-      const id = this.nextObjectId();
-      this.objects.push({ id, str });
-      return id;
-    }
-
-    addJpegImage(jpegBytes, width, height) {
-      console.log('Adding JPEG to PDF:', { width, height, jpegBytesLength: jpegBytes.length });
-      
-      // The issue might be with binary encoding in JavaScript strings
-      // Let's always use ASCII85 but with better error handling
-      try {
-        const ascii85 = ascii85Encode(jpegBytes);
-        console.log('ASCII85 encoding complete, length:', ascii85.length);
-        
-        // Verify ASCII85 data is valid (should only contain printable ASCII + ~>)
-        const invalidChars = ascii85.match(/[^\x21-\x7E~>]/g);
-        if (invalidChars) {
-          console.error('Invalid characters in ASCII85:', invalidChars.slice(0, 10));
-        }
-        
-        const dict = `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter [/ASCII85Decode /DCTDecode] /Length ${ascii85.length} >>`;
-        const objId = this.addObject(`${dict}\nstream\n${ascii85}\nendstream`);
-        console.log('JPEG image object created with ASCII85, ID:', objId);
-        return objId;
-      } catch (e) {
-        console.error('ASCII85 encoding failed:', e);
-        // Fallback: try with a much smaller quality
-        console.log('Retrying with lower quality JPEG...');
-        throw e;
-      }
+  // Fixed and sticky elements (nav bars, cookie banners, chat bubbles) are drawn
+  // in every viewport. Hides the ones visible right now, which the first slice has
+  // already captured, with an !important inline visibility so layout is unchanged.
+  // Sticky elements further down are left alone until they have been seen.
+  // Elements in keepVisible, and those containing one of them, stay visible:
+  // visibility is inherited, so hiding their fixed app shell or modal would
+  // blank every later slice. restore() puts each element's inline visibility
+  // back exactly as it was.
+  function hideRepeatingElements(keepVisible) {
+    const hidden = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+      const position = getComputedStyle(el).position;
+      if (position !== 'fixed' && position !== 'sticky') continue;
+      if (keepVisible.some((kept) => el.contains(kept))) continue;
+
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      if (rect.bottom <= 0 || rect.top >= window.innerHeight) continue;
+
+      hidden.push({
+        el,
+        value: el.style.getPropertyValue('visibility'),
+        priority: el.style.getPropertyPriority('visibility')
+      });
+      el.style.setProperty('visibility', 'hidden', 'important');
     }
 
-    addPageWithImage(imageObjectId, width, height) {
-      console.log('Adding page to PDF:', { imageObjectId, width, height });
-      
-      // PDF content stream: position image to fill the entire page
-      // q = save graphics state
-      // width 0 0 height 0 0 cm = transformation matrix (scale and position)
-      // /Im1 Do = draw image object Im1
-      // Q = restore graphics state
-      const content = `q\n${width} 0 0 ${height} 0 0 cm\n/Im1 Do\nQ\n`;
-      console.log('Page content stream:', content);
-      
-      const contentsId = this.addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
-      const resourcesId = this.addObject(`<< /XObject << /Im1 ${imageObjectId} 0 R >> /ProcSet [/PDF /ImageB /ImageC /ImageI] >>`);
-      
-      // MediaBox defines the page size: [llx lly urx ury] (lower-left x, lower-left y, upper-right x, upper-right y)
-      const pageId = this.addObject(`<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${width} ${height}] /Contents ${contentsId} 0 R /Resources ${resourcesId} 0 R >>`);
-      this.pages.push(pageId);
-      console.log('Page added with ID:', pageId, 'MediaBox: [0 0', width, height, '], Total pages:', this.pages.length);
-    }
-
-    serialize() {
-      const kids = this.pages.map((id) => `${id} 0 R`).join(' ');
-      const pagesObj = `<< /Type /Pages /Kids [ ${kids} ] /Count ${this.pages.length} >>`;
-      this.objects.unshift({ id: this.pagesId, str: pagesObj });
-      const catalogObj = `<< /Type /Catalog /Pages ${this.pagesId} 0 R >>`;
-      this.objects.unshift({ id: this.catalogId, str: catalogObj });
-
-      let offset = 0;
-      const chunks = [];
-      const write = (s) => { const enc = encodePdfString(s); chunks.push(enc); offset += enc.length; };
-      const positions = [];
-
-      write('%PDF-1.4\n');
-      for (const obj of this.objects) {
-        positions.push(offset);
-        write(`${obj.id} 0 obj\n${obj.str}\nendobj\n`);
-      }
-      const xrefStart = offset;
-      write(`xref\n0 ${this.objects.length + 1}\n`);
-      write(`0000000000 65535 f \n`);
-      for (const pos of positions) {
-        write(`${pos.toString().padStart(10, '0')} 00000 n \n`);
-      }
-      write(`trailer\n<< /Size ${this.objects.length + 1} /Root ${this.catalogId} 0 R >>\nstartxref\n${xrefStart}\n%%EOF`);
-
-      let total = 0;
-      for (const u of chunks) total += u.length;
-      const out = new Uint8Array(total);
-      let p = 0;
-      for (const u of chunks) { out.set(u, p); p += u.length; }
-      return out.buffer;
-    }
-  }
-
-  function encodePdfString(str) {
-    // Encode to UTF-8 bytes
-    const encoder = new TextEncoder();
-    return encoder.encode(str);
-  }
-
-  // ASCII85 encoder for stream data (safe for PDF text streams)
-  function ascii85Encode(bytes) {
-    let output = '';
-    let tuple = 0;
-    let count = 0;
-    for (let i = 0; i < bytes.length; i++) {
-      tuple = (tuple << 8) | bytes[i];
-      count++;
-      if (count === 4) {
-        if (tuple === 0) {
-          output += 'z';
-        } else {
-          let enc = '';
-          for (let j = 0; j < 5; j++) {
-            enc = String.fromCharCode((tuple % 85) + 33) + enc;
-            tuple = Math.floor(tuple / 85);
+    return {
+      count: hidden.length,
+      restore() {
+        for (const { el, value, priority } of hidden) {
+          if (value) {
+            el.style.setProperty('visibility', value, priority);
+          } else {
+            el.style.removeProperty('visibility');
           }
-          output += enc;
         }
-        tuple = 0;
-        count = 0;
       }
+    };
+  }
+
+  // Lets the user choose what to capture: hovering highlights the element under
+  // the pointer, a click selects it, and (with allowDrag) dragging selects a free
+  // rectangle. Resolves with { element, rect } where rect is in viewport
+  // coordinates and element is the one clicked or where the drag started, or
+  // with null on Escape.
+  function runPicker({ allowDrag, hint: hintText }) {
+    return new Promise((resolve) => {
+      const dragThreshold = 5;
+      const overlay = document.createElement('div');
+      const highlight = document.createElement('div');
+      const hint = document.createElement('div');
+
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;cursor:crosshair;background:transparent;';
+      highlight.style.cssText = 'position:fixed;pointer-events:none;display:none;border:2px solid #3498db;background:rgba(52,152,219,0.2);box-sizing:border-box;';
+      hint.style.cssText = 'position:fixed;top:12px;left:50%;transform:translateX(-50%);pointer-events:none;padding:6px 12px;border-radius:6px;background:#2c3e50;color:white;font:13px sans-serif;';
+      hint.textContent = hintText;
+      overlay.appendChild(highlight);
+      overlay.appendChild(hint);
+
+      let dragStart = null;
+      let dragging = false;
+
+      const showBox = (rect) => {
+        highlight.style.display = 'block';
+        highlight.style.left = `${rect.left}px`;
+        highlight.style.top = `${rect.top}px`;
+        highlight.style.width = `${rect.width}px`;
+        highlight.style.height = `${rect.height}px`;
+      };
+
+      const dragRect = (e) => ({
+        left: Math.min(dragStart.x, e.clientX),
+        top: Math.min(dragStart.y, e.clientY),
+        width: Math.abs(e.clientX - dragStart.x),
+        height: Math.abs(e.clientY - dragStart.y)
+      });
+
+      const elementAt = (x, y) => document.elementsFromPoint(x, y)
+        .find((el) => el !== overlay && !overlay.contains(el) && el !== document.documentElement && el !== document.body) || null;
+
+      const finish = (element, rect) => {
+        overlay.remove();
+        document.removeEventListener('keydown', onKeyDown, true);
+        if (!element || !rect || rect.width < 1 || rect.height < 1) {
+          resolve(null);
+          return;
+        }
+        // Wait a frame so the overlay is gone before the first capture
+        requestAnimationFrame(() => resolve({ element, rect }));
+      };
+
+      const onKeyDown = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          e.stopPropagation();
+          finish(null, null);
+        }
+      };
+
+      overlay.addEventListener('mousemove', (e) => {
+        if (dragStart && allowDrag) {
+          dragging = dragging ||
+            Math.abs(e.clientX - dragStart.x) > dragThreshold ||
+            Math.abs(e.clientY - dragStart.y) > dragThreshold;
+          if (dragging) {
+            showBox(dragRect(e));
+            return;
+          }
+        }
+        const hovered = elementAt(e.clientX, e.clientY);
+        if (hovered) {
+          showBox(hovered.getBoundingClientRect());
+        } else {
+          highlight.style.display = 'none';
+        }
+      });
+
+      overlay.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        dragStart = { x: e.clientX, y: e.clientY };
+        dragging = false;
+      });
+
+      overlay.addEventListener('mouseup', (e) => {
+        if (!dragStart) return;
+        e.preventDefault();
+        if (dragging) {
+          finish(elementAt(dragStart.x, dragStart.y), dragRect(e));
+        } else {
+          const target = elementAt(e.clientX, e.clientY);
+          finish(target, target ? target.getBoundingClientRect() : null);
+        }
+      });
+
+      document.addEventListener('keydown', onKeyDown, true);
+      document.documentElement.appendChild(overlay);
+    });
+  }
+
+  // Expands the filename template from the options page: {title}, {hostname},
+  // {date} (YYYY-MM-DD) and {time} (HH-MM-SS, local time). The result has no
+  // extension; that depends on the output format.
+  function expandFilenameTemplate(template) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const values = {
+      title: (document.title || 'webpage').replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_\-]/g, ''),
+      hostname: location.hostname.replace(/^www\./, '').replace(/\./g, '_'),
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+    };
+    const name = (template || DEFAULT_SETTINGS.filenameTemplate)
+      .replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match))
+      .replace(/[\\/:*?"<>|]/g, '_')
+      .trim();
+    return name || 'webpage';
+  }
+
+  // Asks background to download the bytes; mimeType travels with them so the
+  // background never has to guess the type from the file name. options.history
+  // adds the capture to the history panel; options.saveAs overrides the setting.
+  async function saveFile(filename, mimeType, buffer, options) {
+    const result = throwIfFailed(await sendRequest('save-file', { filename, mimeType, buffer, ...(options || {}) }));
+    console.log('Save message sent:', { filename, mimeType, result });
+    return result;
+  }
+
+  async function copyToClipboard(stitched, stitcher) {
+    const png = stitched.pixelWidth * stitched.pixelHeight > MAX_CLIPBOARD_PIXELS ? null : await stitcher.encodePng();
+    if (!png) {
+      return errorResponse(ERROR_CODES.CANVAS_TOO_LARGE, 'The capture is too large for the clipboard');
     }
-    if (count > 0) {
-      // pad remaining bytes with zeros
-      for (let i = count; i < 4; i++) tuple <<= 8;
-      let enc = '';
-      for (let j = 0; j < count + 1; j++) {
-        enc = String.fromCharCode((tuple % 85) + 33) + enc;
-        tuple = Math.floor(tuple / 85);
-      }
-      output += enc;
+    return sendRequest('copy-image', { buffer: png });
+  }
+
+  // Short message at the top of the page; the popup is usually closed by the
+  // time a capture finishes. Messages shown while one is up are added to it
+  // as new lines instead of covering it.
+  let pageNotice = null;
+  let pageNoticeTimer = null;
+  function showPageNotice(text) {
+    if (pageNotice) {
+      pageNotice.textContent += `\n${text}`;
+      clearTimeout(pageNoticeTimer);
+    } else {
+      pageNotice = document.createElement('div');
+      pageNotice.textContent = text;
+      pageNotice.style.cssText = 'position:fixed;top:12px;left:50%;transform:translateX(-50%);z-index:2147483647;pointer-events:none;padding:6px 12px;border-radius:6px;background:#2c3e50;color:white;font:13px sans-serif;white-space:pre-line;';
+      document.documentElement.appendChild(pageNotice);
     }
-    return output + '~>'; // EOF marker
+    pageNoticeTimer = setTimeout(() => {
+      pageNotice.remove();
+      pageNotice = null;
+    }, 4000);
   }
 })();
 
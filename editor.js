@@ -0,0 +1,407 @@
+// Annotation Editor Script for Web Page Tools Extension
+//
+// Opened by background with ?id=N once a capture is stitched. Annotations are
+// kept as a list in image pixel coordinates and drawn over the capture in
+// order, so Undo just drops the last one. Pixelate works on whatever is below
+// it at that point; Crop only takes effect when exporting.
+
+/* global browser, encodeCaptureOutput, encodeImage, createThumbnail, sendRequest */
+
+// Size, in image pixels, of the blocks the pixelate tool reduces an area to
+const PIXELATE_BLOCK_SIZE = 12;
+
+class EditorController {
+    constructor() {
+        // { title, url, basename, format, quality, pdfLayout, jpegQualities, buffer }
+        this.capture = null;
+        this.image = null;
+        this.annotations = [];
+        this.tool = 'arrow';
+        this.drag = null;
+        this.init();
+    }
+
+    async init() {
+        document.querySelectorAll('.tool').forEach((button) => {
+            button.addEventListener('click', () => {
+                this.selectTool(button.dataset.tool);
+            });
+        });
+
+        document.getElementById('undoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('saveBtn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('copyBtn').addEventListener('click', () => {
+            this.copy();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
+                e.preventDefault();
+                this.undo();
+            }
+        });
+
+        // Moves and releases are tracked on the window so a drag can leave the canvas
+        document.getElementById('overlayCanvas').addEventListener('mousedown', (e) => {
+            this.onMouseDown(e);
+        });
+        window.addEventListener('mousemove', (e) => {
+            this.onMouseMove(e);
+        });
+        window.addEventListener('mouseup', () => {
+            this.onMouseUp();
+        });
+
+        const id = Number(new URLSearchParams(location.search).get('id'));
+        try {
+            const response = await sendRequest('editor-load', { id });
+            if (response.ok) {
+                this.capture = response.capture;
+                this.image = await loadImage(this.capture.buffer);
+            }
+        } catch (error) {
+            console.error('Failed to load capture:', error);
+        }
+
+        if (!this.image) {
+            // Captures are handed over once, so a reloaded editor tab has nothing to show
+            this.showStatus('This capture is no longer available', 'error');
+            document.querySelectorAll('button, select, input').forEach((control) => {
+                control.disabled = true;
+            });
+            return;
+        }
+
+        document.title = `Annotate: ${this.capture.title || 'capture'}`;
+        document.getElementById('outputFormat').value = this.capture.format || 'pdf';
+        this.setupCanvases();
+        this.render();
+    }
+
+    setupCanvases() {
+        const width = this.image.naturalWidth;
+        const height = this.image.naturalHeight;
+        ['imageCanvas', 'overlayCanvas'].forEach((id) => {
+            const canvas = document.getElementById(id);
+            canvas.width = width;
+            canvas.height = height;
+        });
+
+        // Show the capture at the size it had on screen; CSS caps it to the window width
+        document.getElementById('stage').style.width = `${width / (window.devicePixelRatio || 1)}px`;
+    }
+
+    selectTool(tool) {
+        this.tool = tool;
+        document.querySelectorAll('.tool').forEach((button) => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    get color() {
+        return document.getElementById('color').value;
+    }
+
+    get lineWidth() {
+        return Number(document.getElementById('lineWidth').value);
+    }
+
+    // Redraws the capture with every annotation; only needed when the list changes
+    render() {
+        const ctx = document.getElementById('imageCanvas').getContext('2d');
+        ctx.drawImage(this.image, 0, 0);
+        this.annotations.forEach((annotation) => {
+            drawAnnotation(ctx, annotation);
+        });
+        this.drawOverlay(null);
+    }
+
+    // The overlay holds the crop shading and the shape being dragged out
+    drawOverlay(preview) {
+        const canvas = document.getElementById('overlayCanvas');
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const crop = this.getCrop();
+        if (crop) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.clearRect(crop.x, crop.y, crop.width, crop.height);
+        }
+
+        if (!preview) return;
+        if (preview.type === 'crop' || preview.type === 'pixelate') {
+            ctx.save();
+            ctx.setLineDash([8, 6]);
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#3498db';
+            ctx.strokeRect(preview.x, preview.y, preview.width, preview.height);
+            ctx.restore();
+        } else {
+            drawAnnotation(ctx, preview);
+        }
+    }
+
+    // Position of a mouse event in image pixels, kept inside the image
+    toImagePoint(e) {
+        const canvas = document.getElementById('overlayCanvas');
+        const rect = canvas.getBoundingClientRect();
+        const x = ((e.clientX - rect.left) / rect.width) * canvas.width;
+        const y = ((e.clientY - rect.top) / rect.height) * canvas.height;
+        return {
+            x: Math.min(Math.max(x, 0), canvas.width),
+            y: Math.min(Math.max(y, 0), canvas.height)
+        };
+    }
+
+    onMouseDown(e) {
+        if (e.button !== 0 || !this.image) return;
+        e.preventDefault();
+        const point = this.toImagePoint(e);
+
+        if (this.tool === 'text') {
+            const text = window.prompt('Label text');
+            if (text && text.trim()) {
+                this.addAnnotation({
+                    type: 'text',
+                    x: point.x,
+                    y: point.y,
+                    text: text.trim(),
+                    color: this.color,
+                    size: 12 + this.lineWidth * 3
+                });
+            }
+            return;
+        }
+
+        this.drag = { start: point, end: point };
+    }
+
+    onMouseMove(e) {
+        if (!this.drag) return;
+        this.drag.end = this.toImagePoint(e);
+        this.drawOverlay(this.createDragAnnotation());
+    }
+
+    onMouseUp() {
+        if (!this.drag) return;
+        const annotation = this.createDragAnnotation();
+        this.drag = null;
+        if (annotation) {
+            this.addAnnotation(annotation);
+        } else {
+            this.drawOverlay(null);
+        }
+    }
+
+    // The annotation the current drag describes, or null while it is too small
+    // to be intended
+    createDragAnnotation() {
+        const { start, end } = this.drag;
+        if (this.tool === 'arrow') {
+            if (Math.hypot(end.x - start.x, end.y - start.y) < 5) return null;
+            return { type: 'arrow', from: start, to: end, color: this.color, lineWidth: this.lineWidth };
+        }
+
+        const rect = {
+            x: Math.round(Math.min(start.x, end.x)),
+            y: Math.round(Math.min(start.y, end.y)),
+            width: Math.round(Math.abs(end.x - start.x)),
+            height: Math.round(Math.abs(end.y - start.y))
+        };
+        if (rect.width < 3 || rect.height < 3) return null;
+        return { type: this.tool, ...rect, color: this.color, lineWidth: this.lineWidth };
+    }
+
+    addAnnotation(annotation) {
+        this.annotations.push(annotation);
+        this.render();
+    }
+
+    undo() {
+        if (this.annotations.length === 0) return;
+        this.annotations.pop();
+        this.render();
+    }
+
+    // The most recent crop wins, so undoing it brings back the previous one
+    getCrop() {
+        for (let i = this.annotations.length - 1; i >= 0; i--) {
+            if (this.annotations[i].type === 'crop') {
+                return this.annotations[i];
+            }
+        }
+        return null;
+    }
+
+    // The annotated capture, cropped if a crop was drawn
+    exportCanvas() {
+        const source = document.getElementById('imageCanvas');
+        const crop = this.getCrop();
+        if (!crop) return source;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = crop.width;
+        canvas.height = crop.height;
+        canvas.getContext('2d').drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height);
+        return canvas;
+    }
+
+    // Goes through the same PDF/PNG/JPEG/WebP encoding and download path as a
+    // capture saved straight from the page
+    async save() {
+        const format = document.getElementById('outputFormat').value;
+        const { quality, pdfLayout, jpegQualities, metadata } = this.capture;
+        this.setBusy(true);
+        this.showStatus('Saving...', 'info');
+
+        try {
+            const canvas = this.exportCanvas();
+            const output = await encodeCaptureOutput(canvas, canvas.width, canvas.height, format, { quality, pdfLayout, jpegQualities, metadata });
+            const filename = `${this.capture.basename}.${output.extension}`;
+            const result = await sendRequest('save-file', {
+                filename,
+                mimeType: output.mimeType,
+                buffer: output.buffer,
+                pageUrl: this.capture.url,
+                history: {
+                    title: this.capture.title,
+                    width: canvas.width,
+                    height: canvas.height,
+                    thumbnail: await createThumbnail(canvas)
+                }
+            });
+            if (!result.ok) {
+                throw new Error(result.error);
+            }
+            this.showStatus(`Saved as ${filename}`, 'success');
+        } catch (error) {
+            console.error('Failed to save capture:', error);
+            this.showStatus('Failed to save capture', 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    async copy() {
+        this.setBusy(true);
+        try {
+            const image = await encodeImage(this.exportCanvas(), 'png');
+            await browser.clipboard.setImageData(image.bytes.buffer, 'png');
+            this.showStatus('Copied to the clipboard', 'success');
+        } catch (error) {
+            console.error('Failed to copy capture:', error);
+            this.showStatus('Could not copy the capture to the clipboard; use Save instead', 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    setBusy(busy) {
+        document.getElementById('saveBtn').disabled = busy;
+        document.getElementById('copyBtn').disabled = busy;
+    }
+
+    showStatus(message, type) {
+        const statusText = document.getElementById('statusText');
+        statusText.textContent = message;
+        statusText.className = `status-text ${type}`;
+    }
+}
+
+function drawAnnotation(ctx, annotation) {
+    ctx.save();
+    ctx.strokeStyle = annotation.color;
+    ctx.fillStyle = annotation.color;
+    ctx.lineWidth = annotation.lineWidth || 1;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (annotation.type) {
+        case 'arrow':
+            drawArrow(ctx, annotation.from, annotation.to, annotation.lineWidth);
+            break;
+        case 'rect':
+            ctx.strokeRect(annotation.x, annotation.y, annotation.width, annotation.height);
+            break;
+        case 'highlight':
+            // Multiply keeps dark text readable under the marker colour
+            ctx.globalAlpha = 0.4;
+            ctx.globalCompositeOperation = 'multiply';
+            ctx.fillRect(annotation.x, annotation.y, annotation.width, annotation.height);
+            break;
+        case 'text':
+            ctx.font = `bold ${annotation.size}px sans-serif`;
+            ctx.textBaseline = 'top';
+            ctx.lineWidth = Math.max(2, annotation.size / 6);
+            ctx.strokeStyle = 'white';
+            ctx.strokeText(annotation.text, annotation.x, annotation.y);
+            ctx.fillText(annotation.text, annotation.x, annotation.y);
+            break;
+        case 'pixelate':
+            pixelate(ctx, annotation);
+            break;
+        default:
+            // 'crop' is applied on export
+            break;
+    }
+    ctx.restore();
+}
+
+function drawArrow(ctx, from, to, lineWidth) {
+    const headLength = Math.max(14, lineWidth * 4);
+    const angle = Math.atan2(to.y - from.y, to.x - from.x);
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(to.x, to.y);
+    ctx.lineTo(to.x - headLength * Math.cos(angle - Math.PI / 7), to.y - headLength * Math.sin(angle - Math.PI / 7));
+    ctx.lineTo(to.x - headLength * Math.cos(angle + Math.PI / 7), to.y - headLength * Math.sin(angle + Math.PI / 7));
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Shrinks the area to one pixel per block and scales it back up without
+// smoothing, which leaves nothing of the original detail to recover
+function pixelate(ctx, rect) {
+    const width = Math.max(1, Math.ceil(rect.width / PIXELATE_BLOCK_SIZE));
+    const height = Math.max(1, Math.ceil(rect.height / PIXELATE_BLOCK_SIZE));
+    const small = document.createElement('canvas');
+    small.width = width;
+    small.height = height;
+    small.getContext('2d').drawImage(ctx.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(small, 0, 0, width, height, rect.x, rect.y, rect.width, rect.height);
+}
+
+function loadImage(buffer) {
+    const url = URL.createObjectURL(new Blob([buffer], { type: 'image/png' }));
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = (e) => {
+            URL.revokeObjectURL(url);
+            reject(e);
+        };
+        img.src = url;
+    });
+}
+
+// Initialize editor controller when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new EditorController();
+});
@@ -0,0 +1,170 @@
+/*
+  The message protocol between the popup, the editor page, the content scripts
+  and the background script. Every request is { type, version, ...payload };
+  every response is { ok: true, ...result } or { ok: false, code, error },
+  where code is one of ERROR_CODES and error a sentence that can be shown to
+  the user as it is. Loaded ahead of every script that sends or answers
+  requests.
+
+  Requests, by the script that answers them, and the result they resolve to:
+
+    content scripts
+      ping                                        -> {}
+      start-capture { mode, ...capture options }  -> { filename } | { copied } | { editing },
+                                                     with a warning when it stopped early or
+                                                     was saved in another format
+      cancel-capture                              -> {}
+      extract-paragraphs                          -> { paragraphs }
+      extract-selected-paragraphs                 -> { paragraphs }
+
+    background
+      capture-tab { tabId, capture }              -> as start-capture, sent on to the tab
+      extract-tab-paragraphs { tabId }            -> as extract-paragraphs, sent on to the tab
+      capture-viewport                            -> { dataUrl }
+      save-file { filename, mimeType, buffer }    -> { downloadId }
+      copy-image { buffer }                       -> {}
+      open-editor { buffer, capture }             -> {}
+      editor-load { id }                          -> { capture }
+      save-paragraphs-pdf { paragraphs, url }     -> { downloadId, filename }
+      history-list                                -> { entries }
+      history-download { id }                     -> { downloadId }
+      history-delete { id }                       -> {}
+      batch-start { allTabs, urls, capture, ... } -> { batch }
+      batch-status                                -> { batch }
+      batch-cancel                                -> {}
+      capture-status { tabId }                    -> { progress }
+
+  Notifications are sent to whoever listens (background, an open popup) and
+  nobody waits for an answer:
+      capture-progress { phase, done, total, percent }, and phase 'finished'
+        with the start-capture response once the capture is over
+      batch-progress { batch }
+*/
+
+/* global browser */
+
+// Bumped whenever a request or response changes shape. A content script left
+// over from an older version answers with version-mismatch.
+const PROTOCOL_VERSION = 1;
+
+const ERROR_CODES = {
+  // Firefox does not let extensions capture about:, extension and AMO pages
+  PROHIBITED_URL: 'prohibited-url',
+  // The browser refused a screenshot because too many were taken too quickly
+  CAPTURE_THROTTLED: 'capture-throttled',
+  // The captured tab stopped being the one on screen, was unloaded to save
+  // memory or was closed, so its screenshots cannot be taken any more
+  TAB_INACTIVE: 'tab-inactive',
+  TAB_DISCARDED: 'tab-discarded',
+  TAB_CLOSED: 'tab-closed',
+  // The capture does not fit the canvas, clipboard or editor limits
+  CANVAS_TOO_LARGE: 'canvas-too-large',
+  CANCELLED: 'cancelled',
+  // A capture is already running in that tab
+  BUSY: 'busy',
+  // The history entry or capture asked for no longer exists
+  NOT_FOUND: 'not-found',
+  // Nothing answered: no content script in the tab, or a closed page
+  NO_RECEIVER: 'no-receiver',
+  VERSION_MISMATCH: 'version-mismatch',
+  FAILED: 'failed'
+};
+
+// Used when an error response does not bring a message of its own
+const ERROR_MESSAGES = {
+  'prohibited-url': 'Firefox does not allow capturing this page',
+  'capture-throttled': 'The browser refused to take screenshots this quickly; please try again',
+  'tab-inactive': 'The page was no longer the active tab',
+  'tab-discarded': 'The browser unloaded the page to save memory',
+  'tab-closed': 'The tab was closed',
+  'canvas-too-large': 'The capture is too large',
+  cancelled: 'Capture cancelled',
+  busy: 'A capture is already running',
+  'not-found': 'This item no longer exists',
+  'no-receiver': 'The page did not respond; reloading it may help',
+  'version-mismatch': 'The page runs an older version of the extension; please reload it',
+  failed: 'Something went wrong'
+};
+
+// An Error carrying one of ERROR_CODES, so the code survives being thrown
+// through the handler and turned into a response
+function createProtocolError(code, message) {
+  const error = new Error(message || ERROR_MESSAGES[code]);
+  error.code = code;
+  return error;
+}
+
+function createRequest(type, payload) {
+  return { ...payload, type, version: PROTOCOL_VERSION };
+}
+
+function okResponse(result) {
+  return { ...result, ok: true };
+}
+
+function errorResponse(code, message) {
+  return { ok: false, code, error: message || ERROR_MESSAGES[code] || ERROR_MESSAGES.failed };
+}
+
+// Errors thrown without a known code are reported as 'failed'
+function toErrorResponse(error) {
+  const code = error && Object.values(ERROR_CODES).includes(error.code) ? error.code : ERROR_CODES.FAILED;
+  return errorResponse(code, error && error.message);
+}
+
+// Answers the request types in handlers ({ type: (message, sender) => result });
+// types without a handler are left to other listeners. A handler's result
+// (or the value its promise resolves to) becomes an ok response and a thrown
+// error an error response, so handlers only return what succeeded.
+function listenForRequests(handlers) {
+  browser.runtime.onMessage.addListener((message, sender) => {
+    if (!message || !Object.prototype.hasOwnProperty.call(handlers, message.type)) return undefined;
+    if (message.version !== PROTOCOL_VERSION) {
+      console.warn('Request from another protocol version:', message.type, message.version);
+      return Promise.resolve(errorResponse(ERROR_CODES.VERSION_MISMATCH));
+    }
+    return Promise.resolve()
+      .then(() => handlers[message.type](message, sender))
+      .then(okResponse, (error) => {
+        if (error && error.code !== ERROR_CODES.CANCELLED) {
+          console.error(`Request ${message.type} failed:`, error);
+        }
+        return toErrorResponse(error);
+      });
+  });
+}
+
+// Sends a request to the background script (and any extension page that
+// answers it). Always resolves to a response; a missing receiver included.
+function sendRequest(type, payload) {
+  return settleResponse(browser.runtime.sendMessage(createRequest(type, payload)));
+}
+
+// Same as sendRequest, for the content scripts of a tab
+function sendTabRequest(tabId, type, payload) {
+  return settleResponse(browser.tabs.sendMessage(tabId, createRequest(type, payload)));
+}
+
+// Turns an error response back into a thrown error, for callers that have
+// nothing to add to a failure and let it end what they are doing
+function throwIfFailed(response) {
+  if (!response.ok) {
+    throw createProtocolError(response.code, response.error);
+  }
+  return response;
+}
+
+// Nobody waits for notifications, so nobody listening is not an error
+function sendNotification(type, payload) {
+  browser.runtime.sendMessage(createRequest(type, payload)).catch(() => {});
+}
+
+async function settleResponse(sending) {
+  try {
+    const response = await sending;
+    if (response && typeof response.ok === 'boolean') return response;
+  } catch (e) {
+    console.warn('Request got no answer:', e.message);
+  }
+  return errorResponse(ERROR_CODES.NO_RECEIVER);
+}
@@ -0,0 +1,408 @@
+/*
+  MinimalPdf: a very small PDF writer shared by the content script (screenshot
+  PDFs) and the background script (paragraph PDFs). It can embed JPEG images and
+  lay out text in the standard Type 1 fonts, which every PDF viewer provides, so
+  no font program has to be bundled. Those fonts only cover WinAnsiEncoding
+  (Western European Latin), so text in other scripts (CJK, Cyrillic, Greek...)
+  cannot be written; callers check it with MinimalPdf.canEncodeText.
+  Note: This is intentionally minimal and not a full-featured PDF library.
+*/
+
+class MinimalPdf {
+  constructor() {
+    this.objects = [];
+    this.pages = [];
+    this.fonts = {};
+    this.info = null;
+    this.bookmarks = [];
+    this.nextId = 1;
+    this.catalogId = this.nextObjectId();
+    this.pagesId = this.nextObjectId();
+  }
+
+  nextObjectId() {
+    return this.nextId++;
+  }
+
+  addObject(str) {
+    const id = this.nextObjectId();
+    this.objects.push({ id, str });
+    return id;
+  }
+
+  // Document properties for the /Info dictionary: { title, author, subject,
+  // keywords, creator, producer, source, creationDate }. source is the URL the
+  // document was made from and creationDate a Date (default: now). Empty
+  // values are left out.
+  setInfo(info) {
+    this.info = info;
+  }
+
+  // Adds an outline entry that opens pageId scrolled to top (in points from
+  // the bottom of the page). Entries are kept in the order they are added; each
+  // nests under the closest earlier entry with a lower level (1 = top level).
+  addBookmark(title, level, pageId, top) {
+    this.bookmarks.push({ title, level, pageId, top });
+  }
+
+  // Adds an object with a stream. entries are the dictionary entries without
+  // /Length, which is filled in from data (a Uint8Array, or a string for
+  // content streams). The bytes are kept as they are and only copied once,
+  // into the serialized file.
+  addStreamObject(entries, data) {
+    const bytes = typeof data === 'string' ? encodePdfString(data) : data;
+    const id = this.nextObjectId();
+    const dict = entries ? `${entries} /Length ${bytes.length}` : `/Length ${bytes.length}`;
+    this.objects.push({ id, str: `<< ${dict} >>`, stream: bytes });
+    return id;
+  }
+
+  // The JPEG file goes into the PDF unchanged; viewers decode it with DCTDecode
+  addJpegImage(jpegBytes, width, height) {
+    console.log('Adding JPEG to PDF:', { width, height, jpegBytesLength: jpegBytes.length });
+    return this.addStreamObject(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`, jpegBytes);
+  }
+
+  // Registers one of the standard Type 1 fonts (e.g. 'Helvetica', 'Helvetica-Bold')
+  // and returns its resource name for use in content streams. Text must be passed
+  // through MinimalPdf.encodeText, which produces WinAnsi-encoded hex strings.
+  addStandardFont(baseFont) {
+    if (!STANDARD_FONT_WIDTHS[baseFont]) {
+      throw new Error(`Unsupported standard font: ${baseFont}`);
+    }
+    if (this.fonts[baseFont]) {
+      return this.fonts[baseFont].name;
+    }
+    const name = `F${Object.keys(this.fonts).length + 1}`;
+    const id = this.addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+    this.fonts[baseFont] = { name, id };
+    return name;
+  }
+
+  // Adds a page drawn by the given content stream. resources lists what the
+  // stream refers to: { fonts: true } exposes every registered font, and
+  // xobjects maps names such as 'Im1' to image object ids. annotations holds
+  // the ids of annotation objects (e.g. from addLinkAnnotation) on the page.
+  addPage(width, height, content, resources, annotations) {
+    const res = resources || {};
+    const entries = [];
+    if (res.xobjects) {
+      const xobjects = Object.keys(res.xobjects).map((name) => `/${name} ${res.xobjects[name]} 0 R`).join(' ');
+      entries.push(`/XObject << ${xobjects} >>`);
+    }
+    if (res.fonts) {
+      const fonts = Object.values(this.fonts).map((f) => `/${f.name} ${f.id} 0 R`).join(' ');
+      entries.push(`/Font << ${fonts} >>`);
+    }
+    entries.push('/ProcSet [/PDF /Text /ImageB /ImageC /ImageI]');
+
+    const contentsId = this.addStreamObject('', content);
+    const resourcesId = this.addObject(`<< ${entries.join(' ')} >>`);
+
+    // MediaBox defines the page size: [llx lly urx ury] (lower-left x, lower-left y, upper-right x, upper-right y)
+    const annots = annotations && annotations.length > 0
+      ? ` /Annots [${annotations.map((id) => `${id} 0 R`).join(' ')}]`
+      : '';
+    const pageId = this.addObject(`<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${formatPdfNumber(width)} ${formatPdfNumber(height)}] /Contents ${contentsId} 0 R /Resources ${resourcesId} 0 R${annots} >>`);
+    this.pages.push(pageId);
+    console.log('Page added with ID:', pageId, 'MediaBox: [0 0', width, height, '], Total pages:', this.pages.length);
+    return pageId;
+  }
+
+  // placement ({ x, y, width, height } in points) positions the image on the page;
+  // without it the image fills the entire page. overlays add to the image, all
+  // as boxes in points with y at the bottom of the box:
+  //   textRuns: [{ text, x, y, width, height }], written as invisible text so
+  //             the page can be searched and copied from
+  //   links:    [{ url, x, y, width, height }], clickable URI link areas
+  //   headings: [{ title, level, x, y, width, height }], added as bookmarks
+  //             pointing at the top of each box
+  addPageWithImage(imageObjectId, width, height, placement, overlays) {
+    const box = placement || { x: 0, y: 0, width, height };
+    return this.addPageWithImages(width, height, [{ id: imageObjectId, ...box }], overlays);
+  }
+
+  // Like addPageWithImage, for a page made of several images, e.g. the strips
+  // of a capture too tall for one canvas. images: [{ id, x, y, width, height }].
+  addPageWithImages(width, height, images, overlays) {
+    console.log('Adding page to PDF:', { width, height, images: images.length });
+
+    // PDF content stream: position each image inside its box
+    // q = save graphics state
+    // w 0 0 h x y cm = transformation matrix (scale and position)
+    // /ImN Do = draw image object ImN
+    // Q = restore graphics state
+    let content = '';
+    const resources = { xobjects: {} };
+    images.forEach((image, index) => {
+      const name = `Im${index + 1}`;
+      resources.xobjects[name] = image.id;
+      content += `q\n${formatPdfNumber(image.width)} 0 0 ${formatPdfNumber(image.height)} ${formatPdfNumber(image.x)} ${formatPdfNumber(image.y)} cm\n/${name} Do\nQ\n`;
+    });
+
+    const { textRuns, links, headings } = overlays || {};
+    if (textRuns && textRuns.length > 0) {
+      content += this.invisibleTextContent(textRuns);
+      resources.fonts = true;
+    }
+    const annotations = (links || []).map((link) => this.addLinkAnnotation(link));
+    const pageId = this.addPage(width, height, content, resources, annotations);
+    for (const heading of headings || []) {
+      this.addBookmark(heading.title, heading.level, pageId, heading.y + heading.height);
+    }
+    return pageId;
+  }
+
+  // A borderless area that opens url; box is { x, y, width, height } in points
+  addLinkAnnotation(box) {
+    const rect = [box.x, box.y, box.x + box.width, box.y + box.height].map(formatPdfNumber).join(' ');
+    return this.addObject(`<< /Type /Annot /Subtype /Link /Rect [${rect}] /Border [0 0 0] /A << /Type /Action /S /URI /URI ${encodePdfHexString(box.url)} >> >>`);
+  }
+
+  // Text render mode 3 paints nothing, but viewers still find and select the
+  // text. Helvetica's metrics differ from the page's fonts, so each run is
+  // stretched with Tz to the width it has in the image. Runs with characters
+  // outside WinAnsi are left out: search and copy would only find '?' there.
+  invisibleTextContent(textRuns) {
+    const font = this.addStandardFont('Helvetica');
+    const lines = ['BT', '3 Tr'];
+    for (const run of textRuns) {
+      if (!MinimalPdf.canEncodeText(run.text)) continue;
+      const size = run.height;
+      const naturalWidth = MinimalPdf.measureText(run.text, 'Helvetica', size);
+      if (!(size > 0) || !(naturalWidth > 0)) continue;
+      const horizontalScale = (run.width / naturalWidth) * 100;
+      // The baseline sits above the bottom of the box by Helvetica's descent
+      const baseline = run.y + size * 0.207;
+      lines.push(`/${font} ${formatPdfNumber(size)} Tf ${formatPdfNumber(horizontalScale)} Tz 1 0 0 1 ${formatPdfNumber(run.x)} ${formatPdfNumber(baseline)} Tm ${MinimalPdf.encodeText(run.text)} Tj`);
+    }
+    lines.push('ET');
+    return lines.join('\n') + '\n';
+  }
+
+  // Text strings in /Info and the outline are UTF-16BE with a byte order
+  // mark, so titles in any script show up correctly in the viewer
+  addInfoObject() {
+    const info = this.info || {};
+    const entries = [
+      ['Title', info.title],
+      ['Author', info.author],
+      ['Subject', info.subject],
+      ['Keywords', info.keywords],
+      ['Creator', info.creator],
+      ['Producer', info.producer],
+      // Not a standard key, but viewers list custom keys with the other properties
+      ['Source', info.source]
+    ]
+      .filter(([, value]) => value)
+      .map(([key, value]) => `/${key} ${encodePdfTextString(String(value))}`);
+    // Dates are plain ASCII, and never contain parentheses or backslashes
+    entries.push(`/CreationDate (${formatPdfDate(info.creationDate || new Date())})`);
+    return this.addObject(`<< ${entries.join(' ')} >>`);
+  }
+
+  // Builds the outline tree from the bookmarks and returns the id of the
+  // /Outlines dictionary. Every entry starts expanded.
+  addOutlineObjects() {
+    const root = { id: this.nextObjectId(), children: [] };
+    const stack = [{ level: 0, node: root }];
+    for (const bookmark of this.bookmarks) {
+      while (stack[stack.length - 1].level >= bookmark.level) {
+        stack.pop();
+      }
+      const parent = stack[stack.length - 1].node;
+      const node = { ...bookmark, id: this.nextObjectId(), parent, children: [] };
+      parent.children.push(node);
+      stack.push({ level: bookmark.level, node });
+    }
+
+    const countDescendants = (node) => node.children.reduce((sum, child) => sum + 1 + countDescendants(child), 0);
+    const childLinks = (node) => (node.children.length > 0
+      ? ` /First ${node.children[0].id} 0 R /Last ${node.children[node.children.length - 1].id} 0 R /Count ${countDescendants(node)}`
+      : '');
+
+    const writeChildren = (node) => {
+      node.children.forEach((child, index) => {
+        const prev = index > 0 ? ` /Prev ${node.children[index - 1].id} 0 R` : '';
+        const next = index < node.children.length - 1 ? ` /Next ${node.children[index + 1].id} 0 R` : '';
+        // /XYZ left top zoom; null keeps the viewer's current value
+        const dest = `[${child.pageId} 0 R /XYZ null ${formatPdfNumber(child.top)} null]`;
+        this.objects.push({
+          id: child.id,
+          str: `<< /Title ${encodePdfTextString(child.title)} /Parent ${node.id} 0 R${prev}${next}${childLinks(child)} /Dest ${dest} >>`
+        });
+        writeChildren(child);
+      });
+    };
+    this.objects.push({ id: root.id, str: `<< /Type /Outlines${childLinks(root)} >>` });
+    writeChildren(root);
+    return root.id;
+  }
+
+  serialize() {
+    const kids = this.pages.map((id) => `${id} 0 R`).join(' ');
+    const pagesObj = `<< /Type /Pages /Kids [ ${kids} ] /Count ${this.pages.length} >>`;
+    this.objects.push({ id: this.pagesId, str: pagesObj });
+    const infoId = this.addInfoObject();
+    const outline = this.bookmarks.length > 0
+      ? ` /Outlines ${this.addOutlineObjects()} 0 R /PageMode /UseOutlines`
+      : '';
+    const catalogObj = `<< /Type /Catalog /Pages ${this.pagesId} 0 R${outline} >>`;
+    this.objects.push({ id: this.catalogId, str: catalogObj });
+    // The xref table lists objects by number, so write them in that order
+    this.objects.sort((a, b) => a.id - b.id);
+
+    // Objects are written as byte parts: the text around each object, encoded
+    // once, and stream data as the caller passed it. Offsets for the xref
+    // table are byte positions, so they stay correct with binary streams.
+    const parts = [];
+    let offset = 0;
+    const write = (part) => {
+      const bytes = typeof part === 'string' ? encodePdfString(part) : part;
+      parts.push(bytes);
+      offset += bytes.length;
+    };
+    const positions = [];
+
+    // The comment line with bytes above 127 marks the file as binary for
+    // tools that would otherwise treat it as text
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+    for (const obj of this.objects) {
+      positions.push(offset);
+      if (obj.stream) {
+        write(`${obj.id} 0 obj\n${obj.str}\nstream\n`);
+        write(obj.stream);
+        write('\nendstream\nendobj\n');
+      } else {
+        write(`${obj.id} 0 obj\n${obj.str}\nendobj\n`);
+      }
+    }
+    const xrefStart = offset;
+    const xref = [`xref\n0 ${this.objects.length + 1}\n`, '0000000000 65535 f \n'];
+    for (const pos of positions) {
+      xref.push(`${pos.toString().padStart(10, '0')} 00000 n \n`);
+    }
+    write(xref.join(''));
+    write(`trailer\n<< /Size ${this.objects.length + 1} /Root ${this.catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefStart}\n%%EOF`);
+
+    const out = new Uint8Array(offset);
+    let position = 0;
+    for (const bytes of parts) {
+      out.set(bytes, position);
+      position += bytes.length;
+    }
+    return out.buffer;
+  }
+
+  // Width of text in points when set in baseFont at the given size
+  static measureText(text, baseFont, size) {
+    const widths = STANDARD_FONT_WIDTHS[baseFont];
+    let units = 0;
+    for (const ch of text) {
+      const code = toWinAnsiCode(ch);
+      units += (code >= 32 && code <= 126) ? widths[code - 32] : (WIN_ANSI_EXTRA_WIDTHS[code] || DEFAULT_GLYPH_WIDTH);
+    }
+    return units * size / 1000;
+  }
+
+  // Whether encodeText can write every character of text
+  static canEncodeText(text) {
+    for (const ch of text) {
+      if (toWinAnsiCode(ch) === 0x3F && ch !== '?') return false;
+    }
+    return true;
+  }
+
+  // Encodes text as a PDF hex string in WinAnsiEncoding. Hex keeps the content
+  // stream pure ASCII; characters the encoding lacks are replaced with '?'.
+  static encodeText(text) {
+    let hex = '';
+    for (const ch of text) {
+      hex += toWinAnsiCode(ch).toString(16).padStart(2, '0');
+    }
+    return `<${hex}>`;
+  }
+}
+
+// Advance widths (1/1000 em) for character codes 32..126, from the Adobe AFM files
+const STANDARD_FONT_WIDTHS = {
+  'Helvetica': [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  'Helvetica-Bold': [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Widths for the most common non-ASCII WinAnsi glyphs; everything else uses the default
+const DEFAULT_GLYPH_WIDTH = 556;
+const WIN_ANSI_EXTRA_WIDTHS = {
+  0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350,
+  0x96: 556, 0x97: 1000, 0xA0: 278, 0xA9: 737, 0xAE: 737, 0xB7: 278
+};
+
+// Unicode code points that WinAnsiEncoding places in 0x80..0x9F
+const WIN_ANSI_SPECIALS = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C,
+  0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+  0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+function toWinAnsiCode(ch) {
+  const cp = ch.codePointAt(0);
+  if (cp === 0x09 || cp === 0x0A || cp === 0x0D) return 0x20;
+  if ((cp >= 0x20 && cp <= 0x7E) || (cp >= 0xA0 && cp <= 0xFF)) return cp;
+  return WIN_ANSI_SPECIALS[cp] || 0x3F;
+}
+
+// PDF numbers must not use exponent notation; two decimals is plenty for points
+function formatPdfNumber(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(2);
+}
+
+function encodePdfString(str) {
+  // Encode to UTF-8 bytes
+  const encoder = new TextEncoder();
+  return encoder.encode(str);
+}
+
+// Any string as a PDF hex string of its UTF-8 bytes, so no escaping is needed
+function encodePdfHexString(str) {
+  let hex = '';
+  for (const byte of new TextEncoder().encode(str)) {
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return `<${hex}>`;
+}
+
+// A PDF text string (for titles and document properties) as UTF-16BE hex
+// with a byte order mark, which viewers decode as Unicode
+function encodePdfTextString(str) {
+  let hex = 'feff';
+  for (let i = 0; i < str.length; i++) {
+    hex += str.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return `<${hex}>`;
+}
+
+// D:YYYYMMDDHHmmSS+HH'mm' in local time, the date format of /CreationDate
+function formatPdfDate(date) {
+  const pad = (n) => String(Math.floor(Math.abs(n))).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+    `${offset >= 0 ? '+' : '-'}${pad(offset / 60)}'${pad(offset % 60)}'`;
+}
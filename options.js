@@ -0,0 +1,237 @@
+// Options Page Script for Web Page Tools Extension
+
+/* global DEFAULT_SETTINGS, loadStoredSettings, saveStoredSettings, normalizeHostname */
+
+class OptionsController {
+    constructor() {
+        this.stored = { global: {}, sites: {} };
+        this.fields = ['scrollDelay', 'captureDelay', 'maxHeight', 'maxSlices', 'outputFormat', 'imageQuality', 'jpegQualities', 'filenameTemplate', 'saveAs', 'openEditor', 'historyQuotaMB', 'redactEnabled', 'redactSelectors', 'redactPatterns'];
+        this.init();
+    }
+
+    async init() {
+        document.getElementById('scope').addEventListener('change', () => {
+            this.renderForm();
+        });
+
+        document.getElementById('addSiteBtn').addEventListener('click', () => {
+            this.addSite();
+        });
+
+        document.getElementById('removeSiteBtn').addEventListener('click', () => {
+            this.removeSite();
+        });
+
+        document.getElementById('saveBtn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('resetBtn').addEventListener('click', () => {
+            this.resetScope();
+        });
+
+        try {
+            this.stored = await loadStoredSettings();
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            this.showStatus('Could not load saved settings', 'error');
+        }
+        this.renderScopes('');
+        this.renderForm();
+    }
+
+    get scope() {
+        return document.getElementById('scope').value;
+    }
+
+    // Values the global scope resolves to; site overrides are compared against these
+    globalValues() {
+        return { ...DEFAULT_SETTINGS, ...this.stored.global };
+    }
+
+    renderScopes(selected) {
+        const select = document.getElementById('scope');
+        select.innerHTML = '';
+
+        const all = document.createElement('option');
+        all.value = '';
+        all.textContent = 'All sites';
+        select.appendChild(all);
+
+        Object.keys(this.stored.sites).sort().forEach((hostname) => {
+            const option = document.createElement('option');
+            option.value = hostname;
+            option.textContent = hostname;
+            select.appendChild(option);
+        });
+
+        select.value = selected;
+    }
+
+    renderForm() {
+        const scope = this.scope;
+        const values = scope
+            ? { ...this.globalValues(), ...this.stored.sites[scope] }
+            : this.globalValues();
+
+        this.fields.forEach((field) => {
+            const input = document.getElementById(field);
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(values[field]);
+            } else if (field === 'jpegQualities') {
+                input.value = values[field].join(', ');
+            } else if (input.tagName === 'TEXTAREA') {
+                input.value = values[field].join('\n');
+            } else {
+                input.value = values[field];
+            }
+        });
+
+        document.getElementById('removeSiteBtn').disabled = !scope;
+        document.getElementById('resetBtn').textContent = scope ? 'Clear site overrides' : 'Reset to defaults';
+    }
+
+    // Reads and validates the form; throws with a message the user can act on
+    readForm() {
+        const values = {};
+        this.fields.forEach((field) => {
+            const input = document.getElementById(field);
+            if (input.type === 'checkbox') {
+                values[field] = input.checked;
+            } else if (input.type === 'number') {
+                const number = Number(input.value);
+                const max = input.max === '' ? Infinity : Number(input.max);
+                if (input.value === '' || !Number.isFinite(number) || number < Number(input.min || 0) || number > max) {
+                    throw new Error(`Please enter a valid number for "${input.labels[0].textContent}"`);
+                }
+                values[field] = number;
+            } else if (field === 'jpegQualities') {
+                const qualities = input.value.split(',').map((q) => Number(q.trim()));
+                if (qualities.length === 0 || qualities.some((q) => !(q > 0 && q <= 1))) {
+                    throw new Error('JPEG qualities must be numbers between 0 and 1, separated by commas');
+                }
+                values[field] = qualities;
+            } else if (input.tagName === 'TEXTAREA') {
+                values[field] = input.value.split('\n').map((line) => line.trim()).filter((line) => line.length > 0);
+            } else {
+                values[field] = input.value.trim();
+            }
+        });
+
+        values.redactPatterns.forEach((pattern) => {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                throw new Error(`Invalid redaction pattern "${pattern}": ${error.message}`);
+            }
+        });
+        values.redactSelectors.forEach((selector) => {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (error) {
+                throw new Error(`Invalid CSS selector "${selector}"`);
+            }
+        });
+
+        if (!values.filenameTemplate) {
+            values.filenameTemplate = DEFAULT_SETTINGS.filenameTemplate;
+        }
+        return values;
+    }
+
+    async save() {
+        let values;
+        try {
+            values = this.readForm();
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+            return;
+        }
+
+        const scope = this.scope;
+        if (scope) {
+            // Keep only what differs, so later changes for all sites still reach this one
+            const base = this.globalValues();
+            const overrides = {};
+            Object.keys(values).forEach((key) => {
+                if (JSON.stringify(values[key]) !== JSON.stringify(base[key])) {
+                    overrides[key] = values[key];
+                }
+            });
+            this.stored.sites[scope] = overrides;
+        } else {
+            this.stored.global = values;
+        }
+
+        await this.persist(scope ? `Saved settings for ${scope}` : 'Saved settings for all sites');
+    }
+
+    async addSite() {
+        const input = document.getElementById('newSite');
+        const hostname = normalizeHostname(input.value.replace(/^[a-z]+:\/\//i, '').split('/')[0]);
+        if (!hostname) {
+            this.showStatus('Please enter a hostname such as example.com', 'error');
+            return;
+        }
+
+        if (!this.stored.sites[hostname]) {
+            this.stored.sites[hostname] = {};
+            await this.persist(`Added ${hostname}`);
+        }
+        input.value = '';
+        this.renderScopes(hostname);
+        this.renderForm();
+    }
+
+    async removeSite() {
+        const scope = this.scope;
+        if (!scope) return;
+
+        delete this.stored.sites[scope];
+        await this.persist(`Removed ${scope}`);
+        this.renderScopes('');
+        this.renderForm();
+    }
+
+    async resetScope() {
+        const scope = this.scope;
+        if (scope) {
+            this.stored.sites[scope] = {};
+        } else {
+            this.stored.global = {};
+        }
+        await this.persist(scope ? `Cleared overrides for ${scope}` : 'Restored default settings');
+        this.renderForm();
+    }
+
+    async persist(successMessage) {
+        try {
+            await saveStoredSettings(this.stored);
+            this.showStatus(successMessage, 'success');
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+            this.showStatus('Failed to save settings', 'error');
+        }
+    }
+
+    showStatus(message, type) {
+        const status = document.getElementById('status');
+        const statusText = document.getElementById('statusText');
+
+        statusText.textContent = message;
+        status.className = `status ${type}`;
+        status.style.display = 'block';
+
+        // Auto-hide success messages after 3 seconds
+        if (type === 'success') {
+            setTimeout(() => {
+                status.style.display = 'none';
+            }, 3000);
+        }
+    }
+}
+
+// Initialize options controller when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsController();
+});
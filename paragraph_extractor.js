@@ -1,6 +1,11 @@
 // Paragraph Extractor Content Script
 // Extracts paragraphs from blog sites and sends them to background script
 
+/* global loadSettings, compileRedactionPatterns, redactText, matchesAnySelector, SENSITIVE_INPUT_SELECTOR, listenForRequests */
+
+// Elements that start a new line of the selection, as in Selection.toString()
+const LINE_BREAKING_SELECTOR = 'p, div, li, h1, h2, h3, h4, h5, h6, blockquote, pre, tr, section, article, br';
+
 class ParagraphExtractor {
     constructor() {
         this.extractedParagraphs = [];
@@ -8,16 +13,96 @@ class ParagraphExtractor {
     }
 
     init() {
-        // Listen for messages from popup
-        chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-            if (request.action === 'extractParagraphs') {
-                this.extractParagraphs();
-                sendResponse({ success: true, paragraphs: this.extractedParagraphs });
+        // Requests from the popup and the context menu; capture requests are
+        // answered by content.js
+        listenForRequests({
+            'extract-paragraphs': async () => {
+                this.extractParagraphs(await this.loadRedaction());
+                return { paragraphs: this.extractedParagraphs };
+            },
+            'extract-selected-paragraphs': async () => ({
+                paragraphs: this.extractSelectedParagraphs(await this.loadRedaction())
+            })
+        });
+    }
+
+    // Redaction settings for this site, or null when redaction is off
+    async loadRedaction() {
+        const settings = await loadSettings(location.hostname);
+        if (!settings.redactEnabled) {
+            return null;
+        }
+        return {
+            regexes: compileRedactionPatterns(settings.redactPatterns),
+            selectors: settings.redactSelectors
+        };
+    }
+
+    // Replaces every element below root that matches the redaction selectors
+    // or is a sensitive form field with a [redacted] text node. Works on
+    // copies; the page itself is left alone.
+    replaceRedactedElements(root, redaction) {
+        const selectors = [SENSITIVE_INPUT_SELECTOR, ...redaction.selectors];
+        const isRedacted = (element) => selectors.some((selector) => {
+            try {
+                return element.matches(selector);
+            } catch (_) {
+                return false;
+            }
+        });
+        root.querySelectorAll('*').forEach((element) => {
+            if (isRedacted(element)) {
+                element.replaceWith(document.createTextNode('[redacted]'));
             }
         });
     }
 
-    extractParagraphs() {
+    // The user chose the text, so the length and keyword filters do not apply;
+    // every non-empty line of the selection becomes a paragraph
+    extractSelectedParagraphs(redaction) {
+        const selection = window.getSelection();
+        let text = selection ? selection.toString() : '';
+
+        if (redaction && selection.rangeCount > 0) {
+            const node = selection.getRangeAt(0).commonAncestorContainer;
+            const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            if (element && matchesAnySelector(element, redaction.selectors)) {
+                console.log('Selection is inside a redacted element, nothing extracted');
+                return [];
+            }
+
+            // The selection may also cover redacted elements, so the text is read
+            // from a copy of it with those replaced
+            const copy = document.createElement('div');
+            for (let i = 0; i < selection.rangeCount; i++) {
+                copy.appendChild(selection.getRangeAt(i).cloneContents());
+            }
+            this.replaceRedactedElements(copy, redaction);
+            copy.querySelectorAll(LINE_BREAKING_SELECTOR).forEach((lineElement) => {
+                lineElement.after('\n');
+            });
+            text = redactText(copy.textContent, redaction.regexes, '[redacted]');
+        }
+
+        const paragraphs = text
+            .split(/\n+/)
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map((line, index) => ({
+                id: index,
+                text: line,
+                html: '',
+                selected: true
+            }));
+
+        console.log(`Extracted ${paragraphs.length} paragraphs from the selection`);
+        return paragraphs;
+    }
+
+    // With redaction on, paragraphs inside redacted elements are left out, and
+    // redacted elements within a paragraph and matching text are replaced with
+    // [redacted]
+    extractParagraphs(redaction) {
         this.extractedParagraphs = [];
         
         // Common blog selectors - prioritize article content
@@ -46,7 +131,18 @@ class ParagraphExtractor {
 
         // Filter and process paragraphs
         paragraphs.forEach((p, index) => {
-            const text = p.textContent.trim();
+            if (redaction && matchesAnySelector(p, redaction.selectors)) {
+                return;
+            }
+            let text = p.textContent.trim();
+            let html = p.outerHTML;
+            if (redaction) {
+                // Redacted elements inside the paragraph are masked on the page too
+                const copy = p.cloneNode(true);
+                this.replaceRedactedElements(copy, redaction);
+                text = redactText(copy.textContent.trim(), redaction.regexes, '[redacted]');
+                html = redactText(copy.outerHTML, redaction.regexes, '[redacted]');
+            }
             
             // Skip short paragraphs, navigation, and footer content
             if (text.length > 50 && 
@@ -57,7 +153,7 @@ class ParagraphExtractor {
                 this.extractedParagraphs.push({
                     id: index,
                     text: text,
-                    html: p.outerHTML,
+                    html: html,
                     selected: true
                 });
             }
@@ -1,15 +1,26 @@
-// PDF Generator using jsPDF library
-// This script handles the conversion of HTML paragraphs to PDF format
+// PDF Generator for extracted paragraphs
+// Lays out the paragraphs as a text PDF (title block, wrapped paragraphs,
+// page numbers) on top of the shared MinimalPdf writer.
 
-class PdfGenerator {
-    constructor() {
-        this.loadJsPDF();
-    }
+/* global MinimalPdf */
 
-    async loadJsPDF() {
-        // For Firefox extension, we'll implement a basic PDF generator
-        // In production, you would load jsPDF library
-        console.log('PDF Generator initialized');
+class PdfGenerator {
+    constructor(options) {
+        // A4 portrait with 2cm margins, measured in PDF points (1/72 inch)
+        this.layout = {
+            pageWidth: 595.28,
+            pageHeight: 841.89,
+            margin: 56.7,
+            bodyFont: 'Helvetica',
+            boldFont: 'Helvetica-Bold',
+            titleSize: 18,
+            metaSize: 10,
+            bodySize: 11,
+            footerSize: 9,
+            lineHeight: 1.4,
+            paragraphSpacing: 8,
+            ...(options || {})
+        };
     }
 
     async generatePDF(paragraphs, sourceUrl) {
@@ -19,7 +30,6 @@ class PdfGenerator {
             // Create PDF content structure
             const pdfData = this.createPDFStructure(paragraphs, sourceUrl);
             
-            // Convert to actual PDF bytes using a simplified approach
             return this.convertToPDFBytes(pdfData);
             
         } catch (error) {
@@ -45,43 +55,146 @@ class PdfGenerator {
         };
     }
 
-    async convertToPDFBytes(pdfData) {
-        // Simplified PDF generation - creates a text-based format
-        // For a real PDF, you would use jsPDF or similar library
-        
-        const content = this.generateTextContent(pdfData);
-        
-        // Convert to Uint8Array (simulating PDF bytes)
-        const encoder = new TextEncoder();
-        return encoder.encode(content);
+    convertToPDFBytes(pdfData) {
+        const pages = this.layoutPages(pdfData);
+        const { pageWidth, pageHeight } = this.layout;
+
+        const pdf = new MinimalPdf();
+        pdf.setInfo({
+            title: pdfData.title,
+            subject: pdfData.metadata.subject,
+            keywords: pdfData.metadata.keywords,
+            creator: pdfData.metadata.creator,
+            source: pdfData.source
+        });
+        const fontNames = {
+            [this.layout.bodyFont]: pdf.addStandardFont(this.layout.bodyFont),
+            [this.layout.boldFont]: pdf.addStandardFont(this.layout.boldFont)
+        };
+
+        pages.forEach((lines, index) => {
+            const content = this.renderPageContent(lines, fontNames, index + 1, pages.length);
+            pdf.addPage(pageWidth, pageHeight, content, { fonts: true });
+        });
+
+        console.log('Paragraph PDF laid out:', { pages: pages.length, paragraphs: pdfData.paragraphs.length });
+        return new Uint8Array(pdf.serialize());
     }
 
-    generateTextContent(pdfData) {
-        let content = '';
-        
-        // Header
-        content += `${pdfData.title}\n`;
-        content += '='.repeat(pdfData.title.length) + '\n\n';
-        
-        // Metadata
-        content += `Source: ${pdfData.source}\n`;
-        content += `Extracted: ${pdfData.date}\n`;
-        content += `Paragraphs: ${pdfData.paragraphs.length}\n\n`;
-        
-        // Separator
-        content += '-'.repeat(80) + '\n\n';
-        
-        // Content
-        pdfData.paragraphs.forEach((paragraph, index) => {
-            content += `[${index + 1}] ${paragraph.text}\n\n`;
+    // Flows the header block and paragraphs into pages. Each page is a list of
+    // positioned lines: { text, font, size, y, gray }, with y measured from the
+    // top of the printable area. A rule is represented as { rule: true, y }.
+    layoutPages(pdfData) {
+        const { pageHeight, margin, bodyFont, boldFont, titleSize, metaSize, bodySize, footerSize, lineHeight, paragraphSpacing } = this.layout;
+        // Leave room at the bottom for the page number footer
+        const usableHeight = pageHeight - margin * 2 - footerSize * 2;
+
+        const pages = [];
+        let lines = [];
+        let cursor = 0;
+
+        const newPage = () => {
+            pages.push(lines);
+            lines = [];
+            cursor = 0;
+        };
+
+        const addBlock = (text, font, size, gray) => {
+            const leading = size * lineHeight;
+            for (const line of this.wrapText(text, font, size)) {
+                if (cursor + leading > usableHeight && lines.length > 0) {
+                    newPage();
+                }
+                lines.push({ text: line, font, size, gray, y: cursor + size });
+                cursor += leading;
+            }
+        };
+
+        // The standard fonts only cover Western European Latin; paragraphs in
+        // other scripts would come out as '?', so they are left out and counted
+        const paragraphs = pdfData.paragraphs.filter((paragraph) => MinimalPdf.canEncodeText(paragraph.text));
+        const skipped = pdfData.paragraphs.length - paragraphs.length;
+
+        // Title/header block on the first page
+        addBlock(pdfData.title, boldFont, titleSize, 0);
+        cursor += 4;
+        addBlock(`Source: ${pdfData.source}`, bodyFont, metaSize, 0.4);
+        addBlock(`Extracted on: ${pdfData.date}`, bodyFont, metaSize, 0.4);
+        addBlock(`${paragraphs.length} paragraphs`, bodyFont, metaSize, 0.4);
+        if (skipped > 0) {
+            addBlock(`${skipped} paragraphs left out: their characters are not supported by the PDF font`, bodyFont, metaSize, 0.4);
+        }
+        cursor += 6;
+        lines.push({ rule: true, y: cursor });
+        cursor += 18;
+
+        paragraphs.forEach((paragraph) => {
+            addBlock(paragraph.text, bodyFont, bodySize, 0);
+            cursor += paragraphSpacing;
         });
-        
-        // Footer
-        content += '\n' + '-'.repeat(80) + '\n';
-        content += `Generated by Web Page Tools Extension\n`;
-        content += `Total paragraphs extracted: ${pdfData.paragraphs.length}\n`;
-        content += `Source: ${pdfData.source}`;
-        
+
+        pages.push(lines);
+        return pages;
+    }
+
+    // Greedy word wrap against the printable width. Words longer than a full
+    // line (URLs, for instance) are broken between characters.
+    wrapText(text, font, size) {
+        const maxWidth = this.layout.pageWidth - this.layout.margin * 2;
+        const measure = (s) => MinimalPdf.measureText(s, font, size);
+        const words = String(text).split(/\s+/).filter(Boolean);
+        const lines = [];
+        let current = '';
+
+        for (let word of words) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (measure(candidate) <= maxWidth) {
+                current = candidate;
+                continue;
+            }
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            while (measure(word) > maxWidth) {
+                let cut = 1;
+                while (cut < word.length && measure(word.slice(0, cut + 1)) <= maxWidth) {
+                    cut++;
+                }
+                lines.push(word.slice(0, cut));
+                word = word.slice(cut);
+            }
+            current = word;
+        }
+
+        if (current || lines.length === 0) {
+            lines.push(current);
+        }
+        return lines;
+    }
+
+    renderPageContent(lines, fontNames, pageNumber, pageCount) {
+        const { pageWidth, pageHeight, margin, bodyFont, footerSize } = this.layout;
+        const top = pageHeight - margin;
+        const fmt = (n) => Number(n.toFixed(2));
+        let content = '';
+
+        for (const line of lines) {
+            const y = fmt(top - line.y);
+            if (line.rule) {
+                content += `0.6 G 0.75 w ${fmt(margin)} ${y} m ${fmt(pageWidth - margin)} ${y} l S\n`;
+                continue;
+            }
+            content += `BT ${line.gray} g /${fontNames[line.font]} ${line.size} Tf ${fmt(margin)} ${y} Td ${MinimalPdf.encodeText(line.text)} Tj ET\n`;
+        }
+
+        // Centred page number footer
+        const label = `Page ${pageNumber} of ${pageCount}`;
+        const labelWidth = MinimalPdf.measureText(label, bodyFont, footerSize);
+        const footerX = fmt((pageWidth - labelWidth) / 2);
+        const footerY = fmt(margin / 2);
+        content += `BT 0.4 g /${fontNames[bodyFont]} ${footerSize} Tf ${footerX} ${footerY} Td ${MinimalPdf.encodeText(label)} Tj ET\n`;
+
         return content;
     }
 
@@ -106,120 +219,6 @@ class PdfGenerator {
             return `blog_content_${timestamp}.pdf`;
         }
     }
-
-    // Enhanced PDF generation with better formatting
-    async generateEnhancedPDF(paragraphs, sourceUrl) {
-        // This would be the place to implement actual PDF generation
-        // using libraries like jsPDF, PDFKit, or similar
-        
-        const htmlContent = this.generateHTML(paragraphs, sourceUrl);
-        
-        // For now, return the HTML as a data URL that can be printed to PDF
-        const htmlDataUrl = `data:text/html;charset=utf-8,${encodeURIComponent(htmlContent)}`;
-        
-        // In a real implementation, you would:
-        // 1. Load jsPDF library
-        // 2. Create new jsPDF instance
-        // 3. Add content with proper formatting
-        // 4. Return PDF bytes
-        
-        return this.convertToPDFBytes({
-            title: this.getPageTitle(sourceUrl),
-            source: sourceUrl,
-            date: new Date().toLocaleDateString(),
-            paragraphs: paragraphs
-        });
-    }
-
-    generateHTML(paragraphs, sourceUrl) {
-        const title = this.getPageTitle(sourceUrl);
-        const date = new Date().toLocaleDateString();
-        
-        let html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <title>${title}</title>
-            <style>
-                @page {
-                    size: A4;
-                    margin: 2cm;
-                }
-                body {
-                    font-family: 'Times New Roman', serif;
-                    font-size: 12pt;
-                    line-height: 1.6;
-                    color: #333;
-                    max-width: 100%;
-                }
-                .header {
-                    text-align: center;
-                    border-bottom: 2px solid #333;
-                    padding-bottom: 20px;
-                    margin-bottom: 30px;
-                }
-                .title {
-                    font-size: 18pt;
-                    font-weight: bold;
-                    margin-bottom: 10px;
-                }
-                .metadata {
-                    font-size: 10pt;
-                    color: #666;
-                    margin-bottom: 5px;
-                }
-                .paragraph {
-                    margin-bottom: 15px;
-                    text-align: justify;
-                    text-indent: 20px;
-                }
-                .paragraph-number {
-                    font-weight: bold;
-                    color: #666;
-                    font-size: 10pt;
-                }
-                .footer {
-                    position: fixed;
-                    bottom: 1cm;
-                    left: 2cm;
-                    right: 2cm;
-                    text-align: center;
-                    font-size: 8pt;
-                    color: #666;
-                    border-top: 1px solid #ccc;
-                    padding-top: 10px;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <div class="title">${title}</div>
-                <div class="metadata">Source: ${sourceUrl}</div>
-                <div class="metadata">Extracted on: ${date}</div>
-                <div class="metadata">${paragraphs.length} paragraphs</div>
-            </div>
-        `;
-        
-        paragraphs.forEach((paragraph, index) => {
-            html += `
-                <div class="paragraph">
-                    <span class="paragraph-number">[${index + 1}]</span>
-                    ${paragraph.text}
-                </div>
-            `;
-        });
-        
-        html += `
-            <div class="footer">
-                Generated by Web Page Tools Extension | ${paragraphs.length} paragraphs from ${sourceUrl}
-            </div>
-        </body>
-        </html>
-        `;
-        
-        return html;
-    }
 }
 
 // Export for use in background script
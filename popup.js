@@ -1,5 +1,7 @@
 // Popup Script for Web Page Tools Extension
 
+/* global browser, loadSettings, ERROR_CODES, listenForRequests, sendRequest, sendTabRequest */
+
 class PopupController {
     constructor() {
         this.extractedParagraphs = [];
@@ -8,10 +10,71 @@ class PopupController {
 
     init() {
         // Bind event listeners
+        document.querySelectorAll('.tab').forEach((tab) => {
+            tab.addEventListener('click', () => {
+                this.showPanel(tab.dataset.panel);
+            });
+        });
+
         document.getElementById('captureBtn').addEventListener('click', () => {
             this.captureFullPage();
         });
 
+        document.getElementById('captureRegionBtn').addEventListener('click', () => {
+            this.captureRegion();
+        });
+
+        document.getElementById('captureVisibleBtn').addEventListener('click', () => {
+            this.captureVisibleArea();
+        });
+
+        document.getElementById('batchUrlsBtn').addEventListener('click', () => {
+            this.startBatch(false);
+        });
+
+        document.getElementById('batchTabsBtn').addEventListener('click', () => {
+            this.startBatch(true);
+        });
+
+        document.getElementById('batchCancelBtn').addEventListener('click', () => {
+            sendRequest('batch-cancel');
+        });
+
+        document.getElementById('captureCancelBtn').addEventListener('click', () => {
+            this.cancelCapture();
+        });
+
+        // Background reports every change of a running batch, and the page
+        // how far its capture has got
+        listenForRequests({
+            'batch-progress': (message) => {
+                this.displayBatch(message.batch);
+            },
+            'capture-progress': (message, sender) => {
+                if (sender && sender.tab) {
+                    this.captureTabId = sender.tab.id;
+                }
+                this.showCaptureProgress(message);
+            }
+        });
+        this.loadCaptureProgress();
+
+        document.getElementById('settingsLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            browser.runtime.openOptionsPage();
+            window.close();
+        });
+
+        document.getElementById('outputFormat').addEventListener('change', () => {
+            this.updateLayoutControls();
+        });
+
+        document.getElementById('pdfPageSize').addEventListener('change', () => {
+            this.updateLayoutControls();
+        });
+        this.updateLayoutControls();
+        this.loadCaptureDefaults();
+
         document.getElementById('extractBtn').addEventListener('click', () => {
             this.extractParagraphs();
         });
@@ -29,35 +92,369 @@ class PopupController {
         });
     }
 
+    // Pre-selects the format and quality from the options page, including any
+    // override for the current site
+    async loadCaptureDefaults() {
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        let hostname = '';
+        try {
+            hostname = new URL(tab.url).hostname;
+        } catch (e) {
+            // Not a regular web page; the global settings apply
+        }
+
+        const settings = await loadSettings(hostname);
+        document.getElementById('outputFormat').value = settings.outputFormat;
+        document.getElementById('openEditor').checked = settings.openEditor;
+        this.selectClosestQuality(settings.imageQuality);
+        this.updateLayoutControls();
+    }
+
+    selectClosestQuality(quality) {
+        const select = document.getElementById('imageQuality');
+        let closest = select.options[0];
+        Array.from(select.options).forEach((option) => {
+            if (Math.abs(Number(option.value) - quality) < Math.abs(Number(closest.value) - quality)) {
+                closest = option;
+            }
+        });
+        select.value = closest.value;
+    }
+
+    // Page layout only applies to PDF output, and orientation and margin only when
+    // the capture is cut into paper pages; quality only applies to JPEG and WebP
+    updateLayoutControls() {
+        const format = document.getElementById('outputFormat').value;
+        const isPdf = format === 'pdf';
+        const paginated = isPdf && document.getElementById('pdfPageSize').value !== 'single';
+        document.getElementById('imageQuality').disabled = format !== 'jpeg' && format !== 'webp';
+        document.getElementById('pdfPageSize').disabled = !isPdf;
+        document.getElementById('pdfOrientation').disabled = !paginated;
+        document.getElementById('pdfMargin').disabled = !paginated;
+    }
+
+    getPdfLayout() {
+        const pageSize = document.getElementById('pdfPageSize').value;
+        if (pageSize === 'single') {
+            return { mode: 'single' };
+        }
+        return {
+            mode: 'paginated',
+            pageSize: pageSize,
+            orientation: document.getElementById('pdfOrientation').value,
+            margin: Number(document.getElementById('pdfMargin').value)
+        };
+    }
+
     captureFullPage() {
         this.showStatus('Capturing full page...', 'info');
-        
-        // Send message to background script for existing functionality
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            chrome.tabs.sendMessage(tabs[0].id, { action: 'captureFullPage' }, (response) => {
-                if (response && response.success) {
-                    this.showStatus('Page captured successfully!', 'success');
-                } else {
-                    this.showStatus('Failed to capture page', 'error');
-                }
-            });
+        this.startCapture('full');
+    }
+
+    // The picker runs in the page; the popup closes as soon as the user clicks there
+    captureRegion() {
+        this.showStatus('Select an element or drag a region on the page...', 'info');
+        this.startCapture('region');
+    }
+
+    // Choices from the Capture tab, shared by single and batch captures
+    getCaptureOptions() {
+        return {
+            target: document.getElementById('outputTarget').value,
+            format: document.getElementById('outputFormat').value,
+            quality: Number(document.getElementById('imageQuality').value),
+            scrollContainer: document.getElementById('scrollContainer').value,
+            hideFixedElements: document.getElementById('hideFixedElements').checked,
+            warmUp: document.getElementById('warmUp').checked,
+            edit: document.getElementById('openEditor').checked,
+            pdfLayout: this.getPdfLayout()
+        };
+    }
+
+    // Saves what is on screen now, without scrolling the page
+    captureVisibleArea() {
+        this.showStatus('Capturing visible area...', 'info');
+        this.startCapture('visible');
+    }
+
+    // Background passes the capture on to the page, which answers once it is
+    // saved; progress arrives in the meantime as capture-progress
+    async startCapture(mode) {
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        this.captureTabId = tab.id;
+        const response = await sendRequest('capture-tab', {
+            tabId: tab.id,
+            capture: { mode, ...this.getCaptureOptions() }
         });
+        this.showCaptureResult(response);
     }
 
-    extractParagraphs() {
-        this.showStatus('Extracting paragraphs...', 'info');
-        
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            chrome.tabs.sendMessage(tabs[0].id, { action: 'extractParagraphs' }, (response) => {
-                if (response && response.success) {
-                    this.extractedParagraphs = response.paragraphs;
-                    this.displayParagraphs();
-                    this.showStatus(`Extracted ${this.extractedParagraphs.length} paragraphs`, 'success');
-                } else {
-                    this.showStatus('Failed to extract paragraphs', 'error');
-                }
-            });
+    // Takes the start-capture response, which also comes with the 'finished'
+    // progress notification of captures started elsewhere (shortcuts, menus)
+    showCaptureResult(response) {
+        if (response.ok) {
+            const message = response.editing
+                ? 'Capture opened in the editor'
+                : response.copied ? 'Capture copied to the clipboard' : `Saved as ${response.filename}`;
+            // An incomplete capture stays on screen instead of fading out
+            if (response.warning) {
+                this.showStatus(`${message}. ${response.warning}`, 'info');
+            } else {
+                this.showStatus(message, 'success');
+            }
+        } else {
+            this.showStatus(response.error, response.code === ERROR_CODES.CANCELLED ? 'info' : 'error');
+        }
+    }
+
+    // The popup may be opened while a capture is already running in the
+    // current tab; background keeps its latest progress
+    async loadCaptureProgress() {
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        if (!tab) return;
+        const response = await sendRequest('capture-status', { tabId: tab.id });
+        if (response.ok && response.progress) {
+            this.captureTabId = tab.id;
+            this.showCaptureProgress(response.progress);
+        }
+    }
+
+    showCaptureProgress(progress) {
+        const { phase, done, total, percent } = progress;
+        const container = document.getElementById('captureProgress');
+        if (phase === 'finished') {
+            container.style.display = 'none';
+            this.showCaptureResult(progress);
+            return;
+        }
+
+        const labels = {
+            preparing: 'Preparing...',
+            capturing: `Capturing screenshots ${done}/${total}`,
+            stitching: `Stitching screenshots ${done}/${total}`,
+            encoding: 'Encoding...'
+        };
+        document.getElementById('captureProgressText').textContent = labels[phase] || '';
+        document.getElementById('captureProgressFill').style.width = `${percent}%`;
+        document.getElementById('captureCancelBtn').disabled = false;
+        container.style.display = 'block';
+    }
+
+    // The page stops scrolling, puts the scroll position back and reports
+    // 'finished' with the error code 'cancelled'
+    cancelCapture() {
+        if (this.captureTabId === undefined) return;
+        document.getElementById('captureCancelBtn').disabled = true;
+        document.getElementById('captureProgressText').textContent = 'Cancelling...';
+        sendTabRequest(this.captureTabId, 'cancel-capture');
+    }
+
+    showPanel(panelId) {
+        document.querySelectorAll('.tab').forEach((tab) => {
+            tab.classList.toggle('active', tab.dataset.panel === panelId);
+        });
+        document.querySelectorAll('.panel').forEach((panel) => {
+            panel.style.display = panel.id === panelId ? 'block' : 'none';
+        });
+
+        if (panelId === 'historyPanel') {
+            this.loadHistory();
+        }
+        if (panelId === 'batchPanel') {
+            this.loadBatch();
+        }
+    }
+
+    // The popup closes whenever the batch switches tabs, so the state lives in
+    // background and is fetched again each time the panel is shown
+    async loadBatch() {
+        const response = await sendRequest('batch-status');
+        this.displayBatch(response.ok ? response.batch : null);
+    }
+
+    async startBatch(allTabs) {
+        const capture = this.getCaptureOptions();
+        // Nobody is there to pick a scroll area or annotate each page, and each
+        // copy would replace the previous one on the clipboard
+        if (capture.scrollContainer === 'pick') {
+            capture.scrollContainer = 'auto';
+        }
+        capture.target = 'download';
+        capture.edit = false;
+
+        const urls = document.getElementById('batchUrls').value
+            .split(/\s+/)
+            .filter((url) => url.length > 0);
+        if (!allTabs && urls.length === 0) {
+            this.showStatus('Please enter at least one URL', 'error');
+            return;
+        }
+
+        const currentWindow = await browser.windows.getCurrent();
+        const response = await sendRequest('batch-start', {
+            allTabs,
+            urls,
+            windowId: currentWindow.id,
+            closeTabs: document.getElementById('batchCloseTabs').checked,
+            capture
+        });
+        if (response.ok) {
+            this.displayBatch(response.batch);
+        } else {
+            this.showStatus(response.error, 'error');
+        }
+    }
+
+    displayBatch(batch) {
+        const progress = document.getElementById('batchProgress');
+        const running = Boolean(batch && batch.running);
+        document.getElementById('batchUrlsBtn').disabled = running;
+        document.getElementById('batchTabsBtn').disabled = running;
+        if (!batch) {
+            progress.style.display = 'none';
+            return;
+        }
+
+        const count = (status) => batch.items.filter((item) => item.status === status).length;
+        const finished = count('done') + count('failed') + count('cancelled');
+        let summary = `${finished} of ${batch.items.length} pages`;
+        if (count('failed') > 0) {
+            summary += `, ${count('failed')} failed`;
+        }
+        if (batch.cancelled) {
+            summary += running ? ' · stopping...' : ' · stopped';
+        }
+        document.getElementById('batchSummary').textContent = summary;
+        document.getElementById('batchCancelBtn').disabled = !running || batch.cancelled;
+
+        const batchList = document.getElementById('batchList');
+        batchList.innerHTML = '';
+        batch.items.forEach((entry) => {
+            const item = document.createElement('div');
+            item.className = 'batch-item';
+
+            const url = document.createElement('div');
+            url.className = 'batch-url';
+            url.textContent = entry.url;
+            url.title = entry.url;
+
+            const state = document.createElement('div');
+            state.className = `batch-state ${entry.status}`;
+            state.textContent = entry.status === 'failed'
+                ? `Failed: ${entry.error}`
+                : entry.status === 'done'
+                    ? `Saved as ${entry.filename}${entry.warning ? ` · ${entry.warning}` : ''}`
+                    : entry.status.charAt(0).toUpperCase() + entry.status.slice(1);
+
+            item.appendChild(url);
+            item.appendChild(state);
+            batchList.appendChild(item);
         });
+
+        progress.style.display = 'block';
+    }
+
+    async loadHistory() {
+        const response = await sendRequest('history-list');
+        if (!response.ok) {
+            this.showStatus(`Failed to load capture history: ${response.error}`, 'error');
+            return;
+        }
+        this.displayHistory(response.entries);
+    }
+
+    displayHistory(entries) {
+        const historyList = document.getElementById('historyList');
+        document.getElementById('historyEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+
+        // Clear existing content
+        historyList.innerHTML = '';
+
+        entries.forEach((entry) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+
+            const thumb = document.createElement('img');
+            thumb.className = 'history-thumb';
+            thumb.alt = '';
+            if (entry.thumbnail) {
+                thumb.src = entry.thumbnail;
+            }
+
+            const details = document.createElement('div');
+            details.className = 'history-details';
+
+            const title = document.createElement('div');
+            title.className = 'history-title';
+            title.textContent = entry.title || entry.url || entry.filename;
+            title.title = entry.url || '';
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            const format = entry.filename ? entry.filename.split('.').pop().toUpperCase() : '';
+            meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.width}×${entry.height} · ${format} · ${this.formatSize(entry.size)}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            actions.appendChild(this.createHistoryButton('Download', !entry.hasOutput, () => this.redownloadCapture(entry.id)));
+            actions.appendChild(this.createHistoryButton('Open page', !entry.url, () => browser.tabs.create({ url: entry.url })));
+            actions.appendChild(this.createHistoryButton('Delete', false, () => this.deleteCapture(entry.id)));
+
+            details.appendChild(title);
+            details.appendChild(meta);
+            details.appendChild(actions);
+            item.appendChild(thumb);
+            item.appendChild(details);
+            historyList.appendChild(item);
+        });
+    }
+
+    createHistoryButton(label, disabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small-btn';
+        button.textContent = label;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) {
+            return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        }
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    async redownloadCapture(id) {
+        const response = await sendRequest('history-download', { id });
+        if (response.ok) {
+            this.showStatus('Download started', 'success');
+        } else {
+            this.showStatus(response.error, 'error');
+        }
+    }
+
+    async deleteCapture(id) {
+        const response = await sendRequest('history-delete', { id });
+        if (response.ok) {
+            this.loadHistory();
+        } else {
+            this.showStatus(`Failed to delete capture: ${response.error}`, 'error');
+        }
+    }
+
+    async extractParagraphs() {
+        this.showStatus('Extracting paragraphs...', 'info');
+
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+        const response = await sendRequest('extract-tab-paragraphs', { tabId: tab.id });
+        if (response.ok) {
+            this.extractedParagraphs = response.paragraphs;
+            this.displayParagraphs();
+            this.showStatus(`Extracted ${this.extractedParagraphs.length} paragraphs`, 'success');
+        } else {
+            this.showStatus(`Failed to extract paragraphs: ${response.error}`, 'error');
+        }
     }
 
     displayParagraphs() {
@@ -117,7 +514,7 @@ class PopupController {
         });
     }
 
-    convertSelectedToPdf() {
+    async convertSelectedToPdf() {
         const selectedParagraphs = this.extractedParagraphs.filter(p => p.selected);
         
         if (selectedParagraphs.length === 0) {
@@ -128,22 +525,18 @@ class PopupController {
         this.showStatus(`Converting ${selectedParagraphs.length} paragraphs to PDF...`, 'info');
         
         // Get current tab URL first
-        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-            const currentUrl = tabs[0].url;
-            
-            // Send selected paragraphs to background script for PDF conversion
-            chrome.runtime.sendMessage({
-                type: 'convertParagraphsToPdf',
-                paragraphs: selectedParagraphs,
-                url: currentUrl
-            }, (response) => {
-                if (response && response.success) {
-                    this.showStatus('PDF generated successfully!', 'success');
-                } else {
-                    this.showStatus('Failed to generate PDF', 'error');
-                }
-            });
+        const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+
+        // Send selected paragraphs to background script for PDF conversion
+        const response = await sendRequest('save-paragraphs-pdf', {
+            paragraphs: selectedParagraphs,
+            url: tab.url
         });
+        if (response.ok) {
+            this.showStatus('PDF generated successfully!', 'success');
+        } else {
+            this.showStatus(`Failed to generate PDF: ${response.error}`, 'error');
+        }
     }
 
     showStatus(message, type) {
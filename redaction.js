@@ -0,0 +1,162 @@
+/*
+  Masks personal data before it ends up in a capture: sensitive form fields,
+  elements matching the CSS selectors from the options page, and text matching
+  the configured patterns (emails, phone numbers, IBANs, ...). Loaded as a
+  content script ahead of content.js and paragraph_extractor.js.
+*/
+
+// Inputs masked whenever redaction is on, whatever their value
+const SENSITIVE_INPUT_SELECTOR = [
+  'input[type="password"]',
+  'input[type="email"]',
+  'input[autocomplete*="cc-"]',
+  'input[autocomplete*="email"]',
+  'input[name*="card" i]',
+  'input[id*="card" i]',
+  'input[name*="cvv" i]',
+  'input[name*="cvc" i]',
+  'input[name*="iban" i]'
+].join(', ');
+
+// Text inside these is never shown on the page
+const UNRENDERED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+// Patterns that fail to compile are skipped with a warning rather than
+// breaking the capture
+function compileRedactionPatterns(patterns) {
+  const regexes = [];
+  for (const pattern of patterns || []) {
+    try {
+      regexes.push(new RegExp(pattern, 'g'));
+    } catch (e) {
+      console.warn('Ignoring invalid redaction pattern:', pattern, e.message);
+    }
+  }
+  return regexes;
+}
+
+// Replaces every match. Without a replacement each match becomes a run of
+// blocks of the same length, which keeps the page layout close to the original.
+function redactText(text, regexes, replacement) {
+  let result = text;
+  for (const regex of regexes) {
+    result = result.replace(regex, (match) => (
+      replacement === undefined ? '█'.repeat(match.length) : replacement
+    ));
+  }
+  return result;
+}
+
+function matchesAnySelector(element, selectors) {
+  return selectors.some((selector) => {
+    try {
+      return Boolean(element.closest(selector));
+    } catch (_) {
+      return false;
+    }
+  });
+}
+
+// Applies the redaction settings ({ redactSelectors, redactPatterns }) to the
+// live page and keeps applying them to content added later, e.g. while the
+// capture scrolls an infinite list. restore() puts everything back.
+function startPageRedaction(settings) {
+  const regexes = compileRedactionPatterns(settings.redactPatterns);
+  const selectors = (settings.redactSelectors || []).filter((selector) => {
+    try {
+      document.querySelector(selector);
+      return true;
+    } catch (_) {
+      console.warn('Ignoring invalid redaction selector:', selector);
+      return false;
+    }
+  });
+
+  const selectorList = selectors.join(', ');
+  const maskedElements = new Map();
+  const changedTextNodes = new Map();
+
+  // Turns the whole element box black, including images and form values
+  const mask = (element) => {
+    if (maskedElements.has(element)) return;
+    maskedElements.set(element, element.getAttribute('style'));
+    element.style.setProperty('filter', 'brightness(0)', 'important');
+    element.style.setProperty('background-color', '#000', 'important');
+  };
+
+  const redactSubtree = (root) => {
+    if (root.nodeType === Node.TEXT_NODE) {
+      redactTextNode(root);
+      return;
+    }
+    if (root.nodeType !== Node.ELEMENT_NODE) return;
+
+    const elements = [root, ...root.querySelectorAll('*')];
+    for (const element of elements) {
+      if (element.matches(SENSITIVE_INPUT_SELECTOR) || (selectorList && element.matches(selectorList))) {
+        mask(element);
+      } else if ((element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') &&
+                 redactText(element.value, regexes) !== element.value) {
+        mask(element);
+      }
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (
+        node.parentElement && UNRENDERED_TAGS.includes(node.parentElement.tagName)
+          ? NodeFilter.FILTER_REJECT
+          : NodeFilter.FILTER_ACCEPT
+      )
+    });
+    while (walker.nextNode()) {
+      redactTextNode(walker.currentNode);
+    }
+  };
+
+  const redactTextNode = (node) => {
+    if (regexes.length === 0 || changedTextNodes.has(node)) return;
+    const original = node.nodeValue;
+    const redacted = redactText(original, regexes);
+    if (redacted !== original) {
+      changedTextNodes.set(node, original);
+      node.nodeValue = redacted;
+    }
+  };
+
+  redactSubtree(document.documentElement);
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.addedNodes.forEach(redactSubtree);
+    }
+  });
+  observer.observe(document.documentElement, { childList: true, subtree: true });
+
+  console.log('Redaction applied:', { elements: maskedElements.size, textNodes: changedTextNodes.size });
+
+  return {
+    // Whether node sits inside a masked element, whose text must not leave the page
+    isMasked(node) {
+      for (let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement; el; el = el.parentElement) {
+        if (maskedElements.has(el)) return true;
+      }
+      return false;
+    },
+
+    restore() {
+      observer.disconnect();
+      maskedElements.forEach((style, element) => {
+        if (style === null) {
+          element.removeAttribute('style');
+        } else {
+          element.setAttribute('style', style);
+        }
+      });
+      changedTextNodes.forEach((original, node) => {
+        node.nodeValue = original;
+      });
+      maskedElements.clear();
+      changedTextNodes.clear();
+    }
+  };
+}
@@ -0,0 +1,116 @@
+/*
+  Capture preferences shared by the content script, the background script and
+  the options page. Everything lives in storage.local under one key:
+  { global: {...}, sites: { hostname: {...} } }. Site entries only hold the
+  values that differ for that site and are applied on top of the global ones.
+*/
+
+/* global browser */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+  // JPEG qualities tried in order when encoding the PDF image; later ones are fallbacks
+  jpegQualities: [0.92, 0.5],
+  // Wait after each scroll step for layout to settle, in ms
+  scrollDelay: 150,
+  // Wait in the background before every captureVisibleTab call, in ms
+  captureDelay: 100,
+  // 'pdf', 'png', 'jpeg' or 'webp'
+  outputFormat: 'pdf',
+  // Quality (0..1) for JPEG and WebP output
+  imageQuality: 0.92,
+  // Show the browser's save dialog for every download
+  saveAs: true,
+  // Open every capture in the annotation editor instead of saving it at once
+  openEditor: false,
+  // Placeholders: {title}, {hostname}, {date}, {time}
+  filenameTemplate: '{title}',
+  // Hard stops for pages that keep growing while they are scrolled
+  maxHeight: 50000,
+  maxSlices: 200,
+  // Space the capture history may use for saved outputs, in MB
+  historyQuotaMB: 200,
+  // Mask sensitive form fields, the elements matching redactSelectors and text
+  // matching redactPatterns (regular expressions, applied in order) in captures
+  // and extracted paragraphs
+  redactEnabled: false,
+  redactSelectors: [],
+  redactPatterns: [
+    // Email addresses
+    '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+    // IBANs, with or without spaces
+    '\\b[A-Z]{2}\\d{2}(?:\\s?[A-Z0-9]{4}){2,7}(?:\\s?[A-Z0-9]{1,4})?\\b',
+    // Phone numbers such as +1 (555) 123-4567 or 030 1234 5678
+    '(?:\\+\\d{1,3}[\\s.-]?)?\\(?\\d{2,4}\\)?[\\s.-]\\d{3,4}[\\s.-]\\d{3,4}'
+  ]
+};
+
+const OUTPUT_FORMATS = ['pdf', 'png', 'jpeg', 'webp'];
+
+// Site overrides are keyed without a leading "www." so both forms share one entry
+function normalizeHostname(hostname) {
+  return String(hostname || '').trim().toLowerCase().replace(/^www\./, '');
+}
+
+// Drops unknown keys and values of the wrong type so a bad stored entry cannot
+// break a capture
+function sanitizeSettings(values) {
+  const clean = {};
+  if (!values || typeof values !== 'object') return clean;
+
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    const value = values[key];
+    const fallback = DEFAULT_SETTINGS[key];
+    if (value === undefined) continue;
+
+    if (key === 'jpegQualities') {
+      if (Array.isArray(value) && value.length > 0 && value.every((q) => typeof q === 'number' && q > 0 && q <= 1)) {
+        clean[key] = value;
+      }
+    } else if (key === 'redactSelectors' || key === 'redactPatterns') {
+      if (Array.isArray(value) && value.every((item) => typeof item === 'string')) clean[key] = value;
+    } else if (key === 'outputFormat') {
+      if (OUTPUT_FORMATS.includes(value)) clean[key] = value;
+    } else if (key === 'imageQuality') {
+      if (typeof value === 'number' && value > 0 && value <= 1) clean[key] = value;
+    } else if (typeof fallback === 'number') {
+      if (typeof value === 'number' && Number.isFinite(value) && value >= 0) clean[key] = value;
+    } else if (typeof value === typeof fallback) {
+      clean[key] = value;
+    }
+  }
+  return clean;
+}
+
+async function loadStoredSettings() {
+  const stored = await browser.storage.local.get(SETTINGS_STORAGE_KEY);
+  const value = stored[SETTINGS_STORAGE_KEY] || {};
+  const sites = {};
+  for (const [hostname, overrides] of Object.entries(value.sites || {})) {
+    sites[normalizeHostname(hostname)] = sanitizeSettings(overrides);
+  }
+  return { global: sanitizeSettings(value.global), sites };
+}
+
+async function saveStoredSettings(stored) {
+  await browser.storage.local.set({
+    [SETTINGS_STORAGE_KEY]: {
+      global: sanitizeSettings(stored.global),
+      sites: stored.sites || {}
+    }
+  });
+}
+
+// Effective settings for a hostname: defaults, then global values, then the
+// site's overrides. Falls back to the defaults if storage is unavailable.
+async function loadSettings(hostname) {
+  try {
+    const stored = await loadStoredSettings();
+    const site = stored.sites[normalizeHostname(hostname)] || {};
+    return { ...DEFAULT_SETTINGS, ...stored.global, ...site };
+  } catch (e) {
+    console.warn('Could not load settings, using defaults:', e);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
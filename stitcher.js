@@ -0,0 +1,241 @@
+/*
+  Stitches the screenshots taken while scrolling into one strip image and
+  encodes it for saving, away from the captured page's main thread where
+  possible. The work runs in a Web Worker built from the extension's own
+  scripts; on pages whose Content Security Policy forbids blob: workers the
+  same code runs on the main thread instead. Loaded as a content script after
+  capture_output.js, and into the worker itself.
+*/
+
+/* global browser, createProtocolError, createStripImage, drawIntoStrips, getSingleCanvas, encodeCaptureOutput, encodeImage, createThumbnail */
+
+// Scripts the worker is built from, in load order
+const STITCH_WORKER_SCRIPTS = ['settings.js', 'messages.js', 'minimal_pdf.js', 'canvas_strips.js', 'capture_output.js', 'stitcher.js'];
+
+// A worker that has not answered by then is taken to be blocked by the page
+const STITCH_WORKER_START_TIMEOUT = 5000;
+
+// A stitcher keeps the stitched image between calls, so only encoded bytes
+// ever leave the worker:
+//   stitch(slices, dpr, region) -> { pixelWidth, pixelHeight, strips }
+//   encode(format, options)     -> { buffer, mimeType, extension }, as encodeCaptureOutput
+//   encodePng()                 -> PNG bytes as an ArrayBuffer, or null when the
+//                                  image is too large for a single canvas
+//   thumbnail()                 -> JPEG data URL for the capture history
+//   release()                   -> frees the image and ends the worker; calls
+//                                  still in progress fail with 'Cancelled'
+// onProgress(phase, done, total) is called with 'stitching' after every slice
+// and with 'encoding' around encode().
+async function createStitcher(onProgress) {
+  try {
+    return await createWorkerStitcher(onProgress);
+  } catch (e) {
+    console.warn('Stitching worker unavailable, stitching on the page instead:', e.message);
+    return createLocalStitcher(onProgress);
+  }
+}
+
+function createLocalStitcher(onProgress) {
+  const report = onProgress || (() => {});
+  let image = null;
+  let released = false;
+
+  return {
+    async stitch(slices, dpr, region) {
+      released = false;
+      image = await stitchSlices(slices, dpr, region, (done, total) => {
+        // Stitching on the page cannot be interrupted from outside, so a
+        // release in the meantime ends it at the next slice
+        if (released) throw new Error('Cancelled');
+        report('stitching', done, total);
+      });
+      return { pixelWidth: image.width, pixelHeight: image.height, strips: image.strips.length };
+    },
+
+    async encode(format, options) {
+      report('encoding', 0, 1);
+      const output = await encodeCaptureOutput(image, image.width, image.height, format, options);
+      report('encoding', 1, 1);
+      return output;
+    },
+
+    async encodePng() {
+      const canvas = getSingleCanvas(image);
+      if (!canvas) return null;
+      const png = await encodeImage(canvas, 'png');
+      return png.bytes.buffer;
+    },
+
+    thumbnail() {
+      return createThumbnail(image);
+    },
+
+    release() {
+      image = null;
+      released = true;
+    }
+  };
+}
+
+// Runs a local stitcher inside the worker; the page side talks to it through
+// createWorkerStitcher with { id, method, args } requests
+function serveStitcherInWorker(scope) {
+  const stitcher = createLocalStitcher((phase, done, total) => {
+    scope.postMessage({ progress: { phase, done, total } });
+  });
+
+  scope.onmessage = async (event) => {
+    const { id, method, args } = event.data;
+    try {
+      const result = method === 'ping' ? true : await stitcher[method](...args);
+      // Hand encoded bytes over instead of copying them
+      const buffer = result instanceof ArrayBuffer ? result : result && result.buffer;
+      scope.postMessage({ id, result }, buffer instanceof ArrayBuffer ? [buffer] : []);
+    } catch (e) {
+      console.error(`Stitching worker: ${method} failed:`, e);
+      scope.postMessage({ id, error: e.message || String(e), code: e.code });
+    }
+  };
+}
+
+async function createWorkerStitcher(onProgress) {
+  const sources = await Promise.all(STITCH_WORKER_SCRIPTS.map(async (file) => {
+    const response = await fetch(browser.runtime.getURL(file));
+    return `${await response.text()}\n;\n`;
+  }));
+  const url = URL.createObjectURL(new Blob([...sources, 'serveStitcherInWorker(self);\n'], { type: 'text/javascript' }));
+
+  const pending = new Map();
+  let nextRequestId = 1;
+  let worker;
+  try {
+    worker = new Worker(url);
+  } catch (e) {
+    URL.revokeObjectURL(url);
+    throw e;
+  }
+
+  worker.onmessage = (event) => {
+    const data = event.data;
+    if (data.progress) {
+      if (onProgress) onProgress(data.progress.phase, data.progress.done, data.progress.total);
+      return;
+    }
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error !== undefined) {
+      // Keeps the error code (see messages.js) of errors such as canvas-too-large
+      request.reject(createProtocolError(data.code, data.error));
+    } else {
+      request.resolve(data.result);
+    }
+  };
+  // Blocked or crashed workers report here; every open request fails with it
+  worker.onerror = (event) => {
+    event.preventDefault();
+    const error = new Error(event.message || 'The stitching worker failed');
+    pending.forEach((request) => request.reject(error));
+    pending.clear();
+  };
+
+  const call = (method, ...args) => new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, method, args });
+  });
+
+  try {
+    await Promise.race([
+      call('ping'),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('The stitching worker did not start')), STITCH_WORKER_START_TIMEOUT))
+    ]);
+  } catch (e) {
+    worker.terminate();
+    throw e;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+  console.log('Stitching in a worker');
+
+  return {
+    stitch: (slices, dpr, region) => call('stitch', slices, dpr, region),
+    encode: (format, options) => call('encode', format, options),
+    encodePng: () => call('encodePng'),
+    thumbnail: () => call('thumbnail'),
+    // Requests still open fail, so nothing waits for a worker that is gone
+    release() {
+      worker.terminate();
+      const error = new Error('Cancelled');
+      pending.forEach((request) => request.reject(error));
+      pending.clear();
+    }
+  };
+}
+
+// Draws the slices onto one strip image covering exactly the region, both in
+// width and height (up to the document's scrollWidth x scrollHeight). Each
+// slice is cropped to the part of its viewport that falls inside the region;
+// for inner containers that viewport is offset from the top-left of the
+// screenshot. Slices are decoded one at a time, so only one screenshot is
+// held as pixels at once. onProgress(done, total) follows every slice.
+async function stitchSlices(slices, dpr, region, onProgress) {
+  console.log('Stitching images:', {
+    sliceCount: slices.length,
+    dpr,
+    region
+  });
+
+  // Map CSS offsets to pixel offsets using DPR
+  const toPixels = (css) => Math.round(css * dpr);
+
+  const pixelWidth = toPixels(region.width);
+  const totalPixelHeight = toPixels(region.height);
+
+  // Strips start out white and each stays under the browser's canvas size
+  // limit, however tall the capture
+  const image = createStripImage(pixelWidth, totalPixelHeight);
+
+  for (let i = 0; i < slices.length; i++) {
+    const slice = slices[i];
+    const viewport = slice.viewport;
+    const bitmap = await decodeDataUrl(slice.dataUrl);
+
+    try {
+      // Intersect the content this slice shows with the region, in CSS pixels
+      const left = Math.max(region.x, slice.x);
+      const top = Math.max(region.y, slice.y);
+      const right = Math.min(region.x + region.width, slice.x + viewport.width);
+      const bottom = Math.min(region.y + region.height, slice.y + viewport.height);
+
+      const srcX = toPixels(left - slice.x + viewport.left);
+      const srcY = toPixels(top - slice.y + viewport.top);
+      const srcW = Math.min(toPixels(right - left), bitmap.width - srcX);
+      const srcH = Math.min(toPixels(bottom - top), bitmap.height - srcY);
+      const destX = toPixels(left - region.x);
+      const destY = toPixels(top - region.y);
+
+      console.log(`Drawing image ${i}:`, {
+        scroll: { x: slice.x, y: slice.y },
+        src: { srcX, srcY, srcW, srcH },
+        dest: { destX, destY },
+        imgWidth: bitmap.width,
+        imgHeight: bitmap.height
+      });
+
+      if (srcW > 0 && srcH > 0) {
+        drawIntoStrips(image, bitmap, srcX, srcY, srcW, srcH, destX, destY);
+      }
+    } finally {
+      bitmap.close();
+    }
+    if (onProgress) onProgress(i + 1, slices.length);
+  }
+
+  return image;
+}
+
+async function decodeDataUrl(dataUrl) {
+  const response = await fetch(dataUrl);
+  return createImageBitmap(await response.blob());
+}